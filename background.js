@@ -1,13 +1,42 @@
 /*
  * Clipboard Hub v6 - Background Service Worker
  *
- * Durable persistence for binary content (images/files) via IndexedDB.
- * Content scripts store lightweight metadata in storage.local and offload blob bytes here.
+ * Single owner of hub state:
+ * - Item metadata lives in storage.local under STORAGE_KEY; only this script writes it, through a
+ *   serialized mutation queue, so tabs ingesting in parallel never overwrite each other.
+ * - Binary content (images/files) is persisted in IndexedDB, next to a small WebP thumbnail of every
+ *   image (made here at blob.put); drawers load thumbnails for visible cards and full bytes on demand.
+ * - Named collections (staging boards) live under COLLECTIONS_KEY; items carry a collectionId and
+ *   share the blob store, so moving/copying an item between collections never copies bytes.
+ * - Settings (schema in settings.js) live under ClipHubSettings.SETTINGS_KEY; written only via settings.update.
+ * - Retention limits from the settings are applied on item.add and by an hourly alarm.
+ * - Context menu entries capture selections, images, links and page URLs; the tab's content script
+ *   ingests them like a paste (background writes them directly where no content script runs).
+ * - Blobs no item references (tabs closed mid-ingest, failed item.add) are garbage-collected on
+ *   startup and every 6 hours; the last run is reported under GC_REPORT_KEY.
+ * Content scripts are views: they send item.* / collection.* / settings.* / blob.* messages and follow
+ * storage.onChanged.
+ * Blob writes/deletes are broadcast to every tab so open drawers stay in sync.
  */
 
 const DB_NAME = 'clipboard_hub_v6';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE = 'blobs';
+// blob id -> { id, blob, width, height }; blob is null where the original serves as its own thumbnail.
+const THUMB_STORE = 'thumbs';
+const THUMB_MAX_DIM = 480; // about twice a card's width, for HiDPI screens
+const THUMB_QUALITY = 0.8;
+const STORAGE_KEY = 'clip_hub_v6_state';
+const COLLECTIONS_KEY = 'clip_hub_v6_collections';
+const GC_REPORT_KEY = 'clip_hub_v6_gc';
+const DEFAULT_COLLECTION = 'default';
+
+// UI-only flags a view may have left on an item; never persisted.
+const TRANSIENT_KEYS = ['expanded', 'view', 'pending', 'error'];
+
+const ARCHIVE_FORMAT = 'clipboard-hub-archive';
+
+const uid = () => (Date.now().toString(36) + Math.random().toString(36).slice(2));
 
 function openDB() {
   return new Promise((resolve, reject) => {
@@ -18,6 +47,10 @@ function openDB() {
       if (!db.objectStoreNames.contains(STORE)) {
         db.createObjectStore(STORE, { keyPath: 'id' });
       }
+      // v2: thumbnails; existing blobs get theirs on first thumb.get.
+      if (!db.objectStoreNames.contains(THUMB_STORE)) {
+        db.createObjectStore(THUMB_STORE, { keyPath: 'id' });
+      }
     };
 
     req.onsuccess = () => resolve(req.result);
@@ -25,11 +58,11 @@ function openDB() {
   });
 }
 
-async function withStore(mode, fn) {
+async function withStore(mode, fn, storeName = STORE) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, mode);
-    const store = tx.objectStore(STORE);
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
 
     Promise.resolve()
       .then(() => fn(store))
@@ -42,23 +75,49 @@ async function withStore(mode, fn) {
   });
 }
 
+// Tabs without our content script (about:, store pages) simply reject, which we ignore.
+function sendToTab(tabId, type, payload) {
+  try {
+    Promise.resolve(chrome.tabs.sendMessage(tabId, { type, payload })).catch(() => {});
+  } catch (_) {}
+}
+
+// Notify every tab's content script.
+async function broadcast(type, payload) {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({});
+  } catch (_) {
+    return;
+  }
+  for (const tab of tabs) {
+    if (tab.id != null) sendToTab(tab.id, type, payload);
+  }
+}
+
+function readRecord(id, storeName = STORE) {
+  return withStore('readonly', (store) => {
+    return new Promise((resolve, reject) => {
+      const req = store.get(id);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  }, storeName);
+}
+
 async function putBlob({ id, buffer, mime, name, size, lastModified }) {
   const blob = new Blob([buffer], { type: mime || 'application/octet-stream' });
   await withStore('readwrite', (store) =>
     store.put({ id, blob, mime, name, size, lastModified, savedAt: Date.now() })
   );
+  // Before the broadcast, so drawers asking for the thumbnail find it.
+  if (blob.type.startsWith('image/')) await storeThumbnail(id, blob);
+  broadcast('blob.changed', { op: 'put', id });
   return { ok: true };
 }
 
 async function getBlob({ id }) {
-  const record = await withStore('readonly', (store) => {
-    return new Promise((resolve, reject) => {
-      const req = store.get(id);
-      req.onsuccess = () => resolve(req.result || null);
-      req.onerror = () => reject(req.error);
-    });
-  });
-
+  const record = await readRecord(id);
   if (!record) return { ok: false, error: 'not_found' };
 
   const buffer = await record.blob.arrayBuffer();
@@ -74,15 +133,1164 @@ async function getBlob({ id }) {
 }
 
 async function deleteBlob({ id }) {
-  await withStore('readwrite', (store) => store.delete(id));
+  await deleteBlobs([id]);
   return { ok: true };
 }
 
+async function deleteBlobs(ids) {
+  if (!ids.length) return;
+  await withStore('readwrite', (store) => {
+    for (const id of ids) store.delete(id);
+  });
+  await withStore('readwrite', (store) => {
+    for (const id of ids) store.delete(id);
+  }, THUMB_STORE);
+  for (const id of ids) broadcast('blob.changed', { op: 'delete', id });
+}
+
+// ---------------------------
+// Thumbnails
+// ---------------------------
+// Downscaled WebP, or null when the image cannot be decoded here (SVG in a worker) or the
+// original is no bigger than its thumbnail would be.
+async function makeThumbnail(blob) {
+  let bitmap = null;
+  try {
+    bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMB_MAX_DIM / Math.max(bitmap.width, bitmap.height));
+    const w = Math.max(1, Math.round(bitmap.width * scale));
+    const h = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(w, h);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, w, h);
+    const thumb = await canvas.convertToBlob({ type: 'image/webp', quality: THUMB_QUALITY });
+    return (thumb.size < blob.size) ? { blob: thumb, width: w, height: h } : null;
+  } catch (_) {
+    return null;
+  } finally {
+    bitmap?.close();
+  }
+}
+
+async function storeThumbnail(id, blob) {
+  const thumb = await makeThumbnail(blob);
+  const record = { id, blob: thumb?.blob || null, width: thumb?.width || 0, height: thumb?.height || 0 };
+  try {
+    await withStore('readwrite', (store) => store.put(record), THUMB_STORE);
+  } catch (e) {
+    console.warn('storing thumbnail failed', id, e);
+  }
+  return record;
+}
+
+// Thumbnail bytes of an image blob, made on first request for blobs stored before thumbnails existed.
+// Falls back to the full bytes (thumb: false) where no smaller rendition exists.
+async function getThumb({ id }) {
+  let record = await readRecord(id, THUMB_STORE);
+  if (!record) {
+    const full = await readRecord(id);
+    if (!full) return { ok: false, error: 'not_found' };
+    record = (full.blob?.type || full.mime || '').startsWith('image/') ? await storeThumbnail(id, full.blob) : { blob: null };
+  }
+  if (!record.blob) return { ...(await getBlob({ id })), thumb: false };
+  return { ok: true, id, thumb: true, buffer: await record.blob.arrayBuffer(), mime: record.blob.type, width: record.width, height: record.height };
+}
+
+async function listThumbStats() {
+  return withStore('readonly', (store) => {
+    return new Promise((resolve, reject) => {
+      const out = [];
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(out);
+        out.push({ id: cursor.value.id, bytes: cursor.value.blob?.size || 0 });
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }, THUMB_STORE);
+}
+
+async function listBlobKeys() {
+  return withStore('readonly', (store) => {
+    return new Promise((resolve, reject) => {
+      const req = store.getAllKeys();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  });
+}
+
+// id, byte size and write time of every stored blob (without reading the bytes).
+async function listBlobStats() {
+  return withStore('readonly', (store) => {
+    return new Promise((resolve, reject) => {
+      const out = [];
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(out);
+        const { id, blob, size, savedAt } = cursor.value;
+        out.push({ id, bytes: blob?.size ?? size ?? 0, savedAt: savedAt || 0 });
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  });
+}
+
+// Wipes every blob that no remaining (i.e. pinned) item references.
 async function clearAll() {
-  await withStore('readwrite', (store) => store.clear());
+  const keep = referencedBlobs(await readItems());
+  if (!keep.size) {
+    await withStore('readwrite', (store) => store.clear());
+    await withStore('readwrite', (store) => store.clear(), THUMB_STORE);
+    broadcast('blob.changed', { op: 'clear' });
+    return { ok: true };
+  }
+  const keys = await listBlobKeys();
+  await deleteBlobs(keys.filter((k) => !keep.has(k)));
+  return { ok: true };
+}
+
+// ---------------------------
+// Item metadata
+// ---------------------------
+let itemsCache = null;
+let writeQueue = Promise.resolve();
+
+// Every read-modify-write of hub state (items and collections) runs through this queue.
+function serialize(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+const collectionOf = (it) => it.collectionId || DEFAULT_COLLECTION;
+
+function cleanItem(item) {
+  const out = { ...item };
+  for (const k of TRANSIENT_KEYS) delete out[k];
+  return out;
+}
+
+// An item references the rendition in use (blobId) and, when the original was kept, the other one (altBlobId).
+const blobIdsOf = (it) => [it.blobId, it.altBlobId].filter(Boolean);
+// Fields describing the other rendition; dropping the original clears all of them.
+const ALT_FIELDS = ['altBlobId', 'altMime', 'altSize', 'altName', 'rendition'];
+const referencedBlobs = (items) => new Set(items.flatMap(blobIdsOf));
+
+// Blobs may be shared; only drop the bytes once nothing in `kept` references them.
+function orphanedBlobs(removed, kept) {
+  const live = referencedBlobs(kept);
+  return [...new Set(removed.flatMap(blobIdsOf))].filter((b) => !live.has(b));
+}
+
+async function readItems() {
+  if (itemsCache) return itemsCache;
+  const res = await chrome.storage.local.get(STORAGE_KEY);
+  const items = res?.[STORAGE_KEY];
+  itemsCache = Array.isArray(items) ? items : [];
+  return itemsCache;
+}
+
+// fn mutates a copy of the list in place.
+function mutateItems(fn) {
+  return serialize(async () => {
+    const items = [...await readItems()];
+    const result = await fn(items);
+    await chrome.storage.local.set({ [STORAGE_KEY]: items });
+    itemsCache = items;
+    return result;
+  });
+}
+
+// Someone else (an older content script, devtools) wrote the key: drop our cached copy.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[STORAGE_KEY]) itemsCache = null;
+});
+
+async function listItems() {
+  await writeQueue;
+  return { ok: true, items: await readItems() };
+}
+
+async function addItem({ item, index = 0 } = {}) {
+  if (!item || typeof item !== 'object' || !item.id) return { ok: false, error: 'bad_item' };
+  const clean = cleanItem(item);
+  const settings = await readSettings();
+  const { evicted, goneBlobs } = await mutateItems((items) => {
+    const existing = items.findIndex((x) => x.id === clean.id);
+    if (existing >= 0) items.splice(existing, 1);
+    items.splice(Math.max(0, Math.min(index, items.length)), 0, clean);
+    return applyRetention(items, settings, clean.id);
+  });
+  await deleteBlobs(goneBlobs);
+  return { ok: true, item: clean, evicted };
+}
+
+async function updateItem({ id, patch } = {}) {
+  if (!id || !patch || typeof patch !== 'object') return { ok: false, error: 'bad_request' };
+  const result = await mutateItems((items) => {
+    const idx = items.findIndex((x) => x.id === id);
+    if (idx < 0) return null;
+    const prev = items[idx];
+    const next = cleanItem({ ...prev, ...patch, id });
+    // null in a patch means "remove this field" (undefined does not survive messaging).
+    for (const [k, v] of Object.entries(patch)) if (v === null) delete next[k];
+    items[idx] = next;
+    // e.g. a dropped original or a replaced rendition
+    return { item: next, goneBlobs: orphanedBlobs([prev], items) };
+  });
+  if (!result) return { ok: false, error: 'not_found' };
+  await deleteBlobs(result.goneBlobs);
+  return { ok: true, item: result.item };
+}
+
+// Manual reordering: the list order is the display order (and, reversed, the Copy All order).
+async function moveItem({ id, targetId, position = 'before' } = {}) {
+  if (!id || !targetId || id === targetId) return { ok: false, error: 'bad_request' };
+  const moved = await mutateItems((items) => {
+    const from = items.findIndex((x) => x.id === id);
+    if (from < 0 || !items.some((x) => x.id === targetId)) return false;
+    const [it] = items.splice(from, 1);
+    const to = items.findIndex((x) => x.id === targetId);
+    items.splice(position === 'after' ? to + 1 : to, 0, it);
+    return true;
+  });
+  return moved ? { ok: true } : { ok: false, error: 'not_found' };
+}
+
+// Accepts { id } or { ids } for bulk deletes.
+async function removeItem({ id, ids } = {}) {
+  const gone = new Set(Array.isArray(ids) ? ids : [id]);
+  const orphans = await mutateItems((items) => {
+    const removed = items.filter((x) => gone.has(x.id));
+    if (!removed.length) return null;
+    items.splice(0, items.length, ...items.filter((x) => !gone.has(x.id)));
+    return orphanedBlobs(removed, items);
+  });
+  if (!orphans) return { ok: false, error: 'not_found' };
+  await deleteBlobs(orphans);
+  return { ok: true };
+}
+
+// Clears one collection (or everything when none is given); pinned items and their blobs survive.
+async function clearItems({ collectionId } = {}) {
+  const goneBlobs = await mutateItems((items) => {
+    const cleared = (x) => !x.pinned && (!collectionId || collectionOf(x) === collectionId);
+    const kept = items.filter((x) => !cleared(x));
+    const gone = orphanedBlobs(items.filter(cleared), kept);
+    items.splice(0, items.length, ...kept);
+    return gone;
+  });
+  await deleteBlobs(goneBlobs);
+  return { ok: true };
+}
+
+// ---------------------------
+// Collections
+// ---------------------------
+async function readCollections() {
+  const res = await chrome.storage.local.get(COLLECTIONS_KEY);
+  const raw = res?.[COLLECTIONS_KEY];
+  const list = Array.isArray(raw?.list) ? raw.list.filter((c) => c && c.id) : [];
+  if (!list.some((c) => c.id === DEFAULT_COLLECTION)) {
+    list.unshift({ id: DEFAULT_COLLECTION, name: 'Inbox', createdAt: 0 });
+  }
+  const active = list.some((c) => c.id === raw?.active) ? raw.active : DEFAULT_COLLECTION;
+  return { active, list };
+}
+
+function mutateCollections(fn) {
+  return serialize(async () => {
+    const collections = await readCollections();
+    const result = await fn(collections);
+    await chrome.storage.local.set({ [COLLECTIONS_KEY]: collections });
+    return result;
+  });
+}
+
+async function listCollections() {
+  await writeQueue;
+  return { ok: true, ...(await readCollections()) };
+}
+
+async function createCollection({ id, name } = {}) {
+  const clean = String(name || '').trim().slice(0, 80);
+  if (!id || !clean) return { ok: false, error: 'bad_request' };
+  const collection = await mutateCollections((c) => {
+    const existing = c.list.find((x) => x.id === id);
+    if (existing) return existing;
+    const created = { id, name: clean, createdAt: Date.now() };
+    c.list.push(created);
+    return created;
+  });
+  return { ok: true, collection };
+}
+
+async function renameCollection({ id, name } = {}) {
+  const clean = String(name || '').trim().slice(0, 80);
+  if (!id || !clean) return { ok: false, error: 'bad_request' };
+  const found = await mutateCollections((c) => {
+    const target = c.list.find((x) => x.id === id);
+    if (target) target.name = clean;
+    return !!target;
+  });
+  return found ? { ok: true } : { ok: false, error: 'not_found' };
+}
+
+// The last-used collection is what newly opened tabs start on.
+async function setActiveCollection({ id } = {}) {
+  await mutateCollections((c) => {
+    if (c.list.some((x) => x.id === id)) c.active = id;
+  });
   return { ok: true };
 }
 
+// Deletes a collection with all of its items (pinned included); the Inbox cannot be deleted.
+async function removeCollection({ id } = {}) {
+  if (!id || id === DEFAULT_COLLECTION) return { ok: false, error: 'bad_request' };
+  const goneBlobs = await serialize(async () => {
+    const collections = await readCollections();
+    collections.list = collections.list.filter((x) => x.id !== id);
+    if (collections.active === id) collections.active = DEFAULT_COLLECTION;
+
+    const all = await readItems();
+    const items = all.filter((x) => collectionOf(x) !== id);
+    const gone = orphanedBlobs(all.filter((x) => collectionOf(x) === id), items);
+
+    await chrome.storage.local.set({ [COLLECTIONS_KEY]: collections, [STORAGE_KEY]: items });
+    itemsCache = items;
+    return gone;
+  });
+  await deleteBlobs(goneBlobs);
+  return { ok: true };
+}
+
+// ---------------------------
+// Zip archives (entries are written stored; import also inflates deflated entries)
+// ---------------------------
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(ts) {
+  const d = new Date(ts);
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+/** @param {Array<{ name: string, data: Uint8Array, lastModified?: number }>} entries */
+function buildZip(entries) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = enc.encode(entry.name);
+    const { time, date } = dosDateTime(entry.lastModified || Date.now());
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(new Uint8Array(local.buffer), name, entry.data);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, time, true);
+    cd.setUint16(14, date, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, size, true);
+    cd.setUint32(24, size, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const cdSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// Upper bound for everything an archive may expand to; a few KB of deflate can claim gigabytes.
+const MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+
+// Stops (and throws) as soon as the output passes `limit` instead of inflating the whole entry first.
+async function inflateRaw(bytes, limit) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel().catch(() => {});
+      throw new Error('zip_too_large');
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/** @returns {Promise<Map<string, Uint8Array>>} entry name -> bytes */
+async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const dec = new TextDecoder();
+  // Every offset comes from the archive itself: check it lies inside the buffer before reading there.
+  const need = (end) => {
+    if (end > bytes.length) throw new Error('bad_zip');
+  };
+
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not_a_zip');
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  let budget = MAX_ARCHIVE_BYTES;
+
+  for (let i = 0; i < count; i++) {
+    need(p + 46);
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('bad_zip');
+    const method = view.getUint16(p + 10, true);
+    const compSize = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    need(p + 46 + nameLen);
+    const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue;
+    need(localOffset + 30);
+    if (view.getUint32(localOffset, true) !== 0x04034b50) throw new Error('bad_zip');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    need(dataStart + compSize);
+    // An entry may not grow past the size its header declares, nor the archive past MAX_ARCHIVE_BYTES.
+    if (size > budget) throw new Error('zip_too_large');
+    const data = bytes.subarray(dataStart, dataStart + compSize);
+    let out;
+    if (method === 0) out = data.slice();
+    else if (method === 8) out = await inflateRaw(data, size);
+    else throw new Error('unsupported_zip_method');
+    if (out.length !== size) throw new Error('bad_zip');
+    budget -= size;
+    files.set(name, out);
+  }
+  return files;
+}
+
+// ---------------------------
+// Export / import (zip with manifest.json + every blob under files/<original name>)
+// ---------------------------
+function uniqueName(name, taken) {
+  const clean = String(name || 'file').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').slice(0, 180) || 'file';
+  if (!taken.has(clean)) {
+    taken.add(clean);
+    return clean;
+  }
+  const dot = clean.lastIndexOf('.');
+  const [base, ext] = dot > 0 ? [clean.slice(0, dot), clean.slice(dot)] : [clean, ''];
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!taken.has(candidate)) {
+      taken.add(candidate);
+      return candidate;
+    }
+  }
+}
+
+// Item field holding a blob id -> manifest field describing its file.
+const BLOB_FIELDS = [['blobId', 'blob'], ['altBlobId', 'altBlob']];
+
+// What an archive item may carry (field -> typeof); anything else in the manifest is ignored.
+const ITEM_KINDS = new Set(['text', 'image', 'file']);
+const ARCHIVE_ITEM_FIELDS = {
+  id: 'string', kind: 'string', createdAt: 'number', collectionId: 'string', pinned: 'boolean', hash: 'string',
+  text: 'string', html: 'string',
+  name: 'string', mime: 'string', size: 'number', dataUrl: 'string', blobId: 'string',
+  altBlobId: 'string', altMime: 'string', altSize: 'number', altName: 'string', rendition: 'string'
+};
+
+// null for items of an unknown kind.
+function archiveItem(raw) {
+  if (!raw || typeof raw !== 'object' || !ITEM_KINDS.has(raw.kind)) return null;
+  const it = {};
+  for (const [field, type] of Object.entries(ARCHIVE_ITEM_FIELDS)) {
+    if (typeof raw[field] === type) it[field] = raw[field];
+  }
+  // Cards show dataUrl as an <img> on whatever page the hub is open: only inline image bytes, never a remote URL.
+  if (it.dataUrl && !/^data:image\//i.test(it.dataUrl)) delete it.dataUrl;
+  return it;
+}
+
+// Exports the whole hub, or one collection when collectionId is given.
+async function exportHub({ collectionId } = {}) {
+  await writeQueue;
+  const all = await readItems();
+  const items = collectionId ? all.filter((x) => collectionOf(x) === collectionId) : all;
+  const { list } = await readCollections();
+  const collections = collectionId ? list.filter((c) => c.id === collectionId) : list;
+
+  const entries = [];
+  const taken = new Set();
+  const blobPaths = new Map();
+  const outItems = [];
+
+  for (const it of items) {
+    const out = cleanItem(it);
+    for (const [field, key] of BLOB_FIELDS) {
+      const blobId = it[field];
+      if (blobId && !blobPaths.has(blobId)) {
+        const blob = await getBlob({ id: blobId });
+        if (blob.ok) {
+          const path = `files/${uniqueName(blob.name || it.name, taken)}`;
+          blobPaths.set(blobId, { path, mime: blob.mime, size: blob.size, lastModified: blob.lastModified });
+          entries.push({ name: path, data: new Uint8Array(blob.buffer), lastModified: blob.lastModified });
+        }
+      }
+      if (blobId && blobPaths.has(blobId)) out[key] = blobPaths.get(blobId);
+    }
+    outItems.push(out);
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    collections,
+    items: outItems
+  };
+  entries.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+  const zip = buildZip(entries);
+  return { ok: true, buffer: await zip.arrayBuffer(), count: outItems.length };
+}
+
+// mode 'merge' adds the archive on top (ids that collide are re-minted); 'replace' swaps the whole hub.
+async function importHub({ buffer, mode = 'merge' } = {}) {
+  if (!(buffer instanceof ArrayBuffer)) return { ok: false, error: 'bad_request' };
+  const files = await readZip(buffer);
+  const raw = files.get('manifest.json');
+  if (!raw) return { ok: false, error: 'missing_manifest' };
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(raw));
+  } catch (_) {
+    return { ok: false, error: 'bad_manifest' };
+  }
+  if (manifest?.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.items)) return { ok: false, error: 'bad_manifest' };
+
+  // Bytes first, each under a fresh id, so nothing live is overwritten and a failure leaves only
+  // unreferenced blobs behind (deleted here, or by the GC).
+  const blobMap = new Map(); // archive blob id -> staged id (null: missing from the archive)
+  const staged = [];
+  try {
+    for (const raw of manifest.items) {
+      if (!archiveItem(raw)) continue;
+      for (const [field, key] of BLOB_FIELDS) {
+        const blobId = raw[field];
+        if (typeof blobId !== 'string' || !blobId || blobMap.has(blobId)) continue;
+        const info = raw[key];
+        const data = typeof info?.path === 'string' ? files.get(info.path) : null;
+        if (!data) {
+          blobMap.set(blobId, null);
+          continue;
+        }
+        const id = uid();
+        await putBlob({
+          id,
+          buffer: data.buffer,
+          mime: info.mime || raw.mime,
+          name: info.path.replace(/^files\//, ''),
+          size: data.length,
+          lastModified: info.lastModified || 0
+        });
+        staged.push(id);
+        blobMap.set(blobId, id);
+      }
+    }
+  } catch (e) {
+    await deleteBlobs(staged).catch(() => {});
+    throw e;
+  }
+
+  const replace = mode === 'replace';
+  // Reads, id mapping and the swap in one queued write, so a concurrent item.add cannot interleave.
+  const { imported, addedCollections, goneBlobs } = await serialize(async () => {
+    const current = await readItems();
+    const collections = await readCollections();
+    const existingCollections = replace ? [] : collections.list;
+
+    // Collections: same id + same name is the same board; a clashing id with another name gets a new id.
+    const collectionMap = new Map();
+    const addedCollections = [];
+    for (const c of Array.isArray(manifest.collections) ? manifest.collections : []) {
+      if (!c?.id || !c.name) continue;
+      const same = existingCollections.find((x) => x.id === c.id);
+      if (same && same.name === c.name) {
+        collectionMap.set(c.id, c.id);
+        continue;
+      }
+      const id = (same || c.id === DEFAULT_COLLECTION && !replace) ? uid() : c.id;
+      collectionMap.set(c.id, id);
+      addedCollections.push({ id, name: String(c.name).slice(0, 80), createdAt: c.createdAt || Date.now() });
+    }
+
+    const itemIds = new Set(replace ? [] : current.map((x) => x.id));
+    const imported = [];
+    for (const raw of manifest.items) {
+      const it = archiveItem(raw);
+      if (!it) continue;
+      if (!it.id || itemIds.has(it.id)) it.id = uid();
+      itemIds.add(it.id);
+      const sourceCollection = it.collectionId || DEFAULT_COLLECTION;
+      it.collectionId = collectionMap.get(sourceCollection) || sourceCollection;
+      for (const [field] of BLOB_FIELDS) {
+        const mapped = it[field] ? blobMap.get(it[field]) : null;
+        if (mapped) it[field] = mapped;
+        else delete it[field];
+      }
+      // An archive without the kept original still imports the rendition in use.
+      if (!it.altBlobId) for (const k of ALT_FIELDS) delete it[k];
+      // Archives are untrusted input: their markup is cleaned like a capture, and re-hashed if that changed it.
+      if (it.kind === 'text' && typeof it.html === 'string' && it.html) {
+        const html = cleanHtml(it.html);
+        if (html !== it.html) {
+          it.html = html;
+          it.hash = await sha256Hex(textHashInput(it.text, html));
+        }
+      }
+      imported.push(it);
+    }
+
+    if (replace) collections.list = collections.list.filter((c) => c.id === DEFAULT_COLLECTION);
+    for (const c of addedCollections) {
+      if (!collections.list.some((x) => x.id === c.id)) collections.list.push(c);
+    }
+    if (replace && !collections.list.some((c) => c.id === collections.active)) collections.active = DEFAULT_COLLECTION;
+
+    const items = replace ? imported : [...imported, ...current];
+    // Staged bytes no imported item ended up referencing, plus (replace) everything the old items held.
+    const goneBlobs = [
+      ...staged.filter((id) => !referencedBlobs(imported).has(id)),
+      ...(replace ? orphanedBlobs(current, imported) : [])
+    ];
+    await chrome.storage.local.set({ [COLLECTIONS_KEY]: collections, [STORAGE_KEY]: items });
+    itemsCache = items;
+    return { imported, addedCollections, goneBlobs };
+  });
+  await deleteBlobs(goneBlobs);
+  await enforceRetention();
+
+  return { ok: true, count: imported.length, collections: addedCollections.length };
+}
+
+// ---------------------------
+// Settings
+// ---------------------------
+const { SETTINGS_KEY } = ClipHubSettings;
+
+async function readSettings() {
+  const res = await chrome.storage.local.get(SETTINGS_KEY);
+  return ClipHubSettings.normalize(res?.[SETTINGS_KEY]);
+}
+
+async function getSettings() {
+  return { ok: true, settings: await readSettings() };
+}
+
+async function updateSettings({ patch } = {}) {
+  if (!patch || typeof patch !== 'object') return { ok: false, error: 'bad_request' };
+  const settings = await serialize(async () => {
+    const next = ClipHubSettings.normalize({ ...(await readSettings()), ...patch });
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    return next;
+  });
+  if (['maxItems', 'maxStorageMB', 'ttlDays'].some((k) => k in patch)) await enforceRetention();
+  return { ok: true, settings };
+}
+
+// ---------------------------
+// Retention (maxItems / maxStorageMB / ttlDays; enforced on ingest and by an hourly alarm)
+// ---------------------------
+const RETENTION_ALARM = 'retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const textBytes = (it) => (it.text?.length || 0) + (it.html?.length || 0) + (it.dataUrl?.length || 0);
+
+const withoutOriginal = (it) => {
+  const out = { ...it };
+  for (const k of ALT_FIELDS) delete out[k];
+  return out;
+};
+
+// Removes expired / excess items from the list in place, oldest unpinned first; under the storage cap
+// kept originals of compressed images are dropped before any item is. keepId (the item being ingested)
+// is never touched by its own arrival. Returns the counts and the orphaned blobs.
+function applyRetention(items, settings, keepId) {
+  const { maxItems, maxStorageMB, ttlDays } = settings;
+  const none = { evicted: 0, dropped: 0, goneBlobs: [] };
+  if (!maxItems && !maxStorageMB && !ttlDays) return none;
+
+  const candidates = items
+    .filter((x) => !x.pinned && x.id !== keepId)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const victims = new Set();
+  const stripped = new Set();
+
+  if (ttlDays) {
+    const cutoff = Date.now() - ttlDays * DAY_MS;
+    for (const it of candidates) if ((it.createdAt || 0) < cutoff) victims.add(it);
+  }
+
+  if (maxItems) {
+    let count = items.length - victims.size;
+    for (const it of candidates) {
+      if (count <= maxItems) break;
+      if (victims.has(it)) continue;
+      victims.add(it);
+      count--;
+    }
+  }
+
+  if (maxStorageMB) {
+    // Shared blobs count once and are only freed with their last reference.
+    const refs = new Map();
+    let total = 0;
+    const blobSizes = (it) => [[it.blobId, it.size], [it.altBlobId, it.altSize]].filter(([id]) => id);
+    const release = ([id, size]) => {
+      const left = refs.get(id) - 1;
+      refs.set(id, left);
+      if (!left) total -= size || 0;
+    };
+    for (const it of items) {
+      if (victims.has(it)) continue;
+      total += textBytes(it);
+      for (const [id, size] of blobSizes(it)) {
+        if (!refs.has(id)) total += size || 0;
+        refs.set(id, (refs.get(id) || 0) + 1);
+      }
+    }
+    const cap = maxStorageMB * 1024 * 1024;
+    for (const it of candidates) {
+      if (total <= cap) break;
+      if (victims.has(it) || !it.altBlobId || it.rendition !== 'compressed') continue;
+      stripped.add(it);
+      release([it.altBlobId, it.altSize]);
+    }
+    for (const it of candidates) {
+      if (total <= cap) break;
+      if (victims.has(it)) continue;
+      victims.add(it);
+      total -= textBytes(it);
+      for (const blob of blobSizes(it)) {
+        if (!(stripped.has(it) && blob[0] === it.altBlobId)) release(blob);
+      }
+    }
+  }
+
+  const dropped = [...stripped].filter((x) => !victims.has(x));
+  if (!victims.size && !dropped.length) return none;
+  const before = [...victims, ...dropped];
+  items.splice(0, items.length, ...items
+    .filter((x) => !victims.has(x))
+    .map((x) => (stripped.has(x) ? withoutOriginal(x) : x)));
+  return { evicted: victims.size, dropped: dropped.length, goneBlobs: orphanedBlobs(before, items) };
+}
+
+async function enforceRetention() {
+  const settings = await readSettings();
+  const { evicted, goneBlobs } = await serialize(async () => {
+    const items = [...await readItems()];
+    const result = applyRetention(items, settings);
+    if (result.evicted || result.dropped) {
+      await chrome.storage.local.set({ [STORAGE_KEY]: items });
+      itemsCache = items;
+    }
+    return result;
+  });
+  await deleteBlobs(goneBlobs);
+  return { ok: true, evicted };
+}
+
+// This page is reloaded whenever it wakes for a message or event, and creating an alarm again restarts
+// its period: alarms are created only when missing.
+async function ensureAlarm(name, periodInMinutes) {
+  if (!chrome.alarms || await chrome.alarms.get(name)) return;
+  await chrome.alarms.create(name, { periodInMinutes });
+}
+
+// Runs `fn` when the browser starts and when the extension is installed or updated, not on every wake.
+function onLaunch(fn) {
+  chrome.runtime.onStartup.addListener(fn);
+  chrome.runtime.onInstalled.addListener(fn);
+}
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) enforceRetention().catch((e) => console.error('retention failed', e));
+});
+onLaunch(() => {
+  ensureAlarm(RETENTION_ALARM, 60).catch((e) => console.error('retention alarm failed', e));
+  enforceRetention().catch((e) => console.error('retention failed', e));
+});
+
+// ---------------------------
+// Orphaned blob GC (on startup and every 6 hours)
+// ---------------------------
+const GC_ALARM = 'blob-gc';
+// A blob can be written shortly before the item that references it (recompress, import, slow tabs).
+const GC_GRACE_MS = 10 * 60 * 1000;
+
+const GC_TAB_TIMEOUT_MS = 2000;
+
+// Blobs open tabs still show for items the background never stored (item.add failed, not echoed yet).
+async function liveBlobsInTabs() {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({});
+  } catch (_) {
+    return new Set();
+  }
+  const replies = await Promise.all(tabs.filter((tab) => tab.id != null).map((tab) =>
+    Promise.race([
+      Promise.resolve(chrome.tabs.sendMessage(tab.id, { type: 'blob.live' })).catch(() => null),
+      new Promise((resolve) => setTimeout(() => resolve(null), GC_TAB_TIMEOUT_MS))
+    ])
+  ));
+  return new Set(replies.flatMap((r) => (Array.isArray(r?.ids) ? r.ids : [])));
+}
+
+// Deletes blobs neither a persisted item nor an open tab references and records what was
+// reclaimed under GC_REPORT_KEY.
+async function collectGarbage() {
+  const live = await liveBlobsInTabs();
+  const orphans = await serialize(async () => {
+    const referenced = referencedBlobs(await readItems());
+    const cutoff = Date.now() - GC_GRACE_MS;
+    return (await listBlobStats()).filter((b) => !referenced.has(b.id) && !live.has(b.id) && b.savedAt < cutoff);
+  });
+  await deleteBlobs(orphans.map((b) => b.id));
+  // Thumbnails whose blob went away outside deleteBlobs (e.g. a put racing a delete).
+  const blobIds = new Set((await listBlobStats()).map((b) => b.id));
+  const strayThumbs = (await listThumbStats()).filter((t) => !blobIds.has(t.id)).map((t) => t.id);
+  if (strayThumbs.length) {
+    await withStore('readwrite', (store) => {
+      for (const id of strayThumbs) store.delete(id);
+    }, THUMB_STORE);
+  }
+
+  const report = { at: Date.now(), removed: orphans.length, bytes: orphans.reduce((n, b) => n + b.bytes, 0) };
+  await chrome.storage.local.set({ [GC_REPORT_KEY]: report });
+  return { ok: true, ...report };
+}
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name === GC_ALARM) collectGarbage().catch((e) => console.error('blob gc failed', e));
+});
+onLaunch(() => {
+  ensureAlarm(GC_ALARM, 360).catch((e) => console.error('blob gc alarm failed', e));
+  collectGarbage().catch((e) => console.error('blob gc failed', e));
+});
+
+// ---------------------------
+// Storage usage (drawer dashboard)
+// ---------------------------
+async function localBytesInUse() {
+  try {
+    if (chrome.storage.local.getBytesInUse) return await chrome.storage.local.getBytesInUse(null);
+  } catch (_) {}
+  // Firefox builds without getBytesInUse: measure the serialized keys instead.
+  const all = await chrome.storage.local.get(null);
+  return Object.entries(all).reduce((n, [k, v]) => n + k.length + new TextEncoder().encode(JSON.stringify(v)).length, 0);
+}
+
+async function storageStats() {
+  await writeQueue;
+  const [items, blobs, thumbs, localBytes, estimate, gc] = await Promise.all([
+    readItems(),
+    listBlobStats(),
+    listThumbStats(),
+    localBytesInUse(),
+    navigator.storage?.estimate?.().catch(() => null),
+    chrome.storage.local.get(GC_REPORT_KEY).then((res) => res?.[GC_REPORT_KEY] || null)
+  ]);
+
+  const blobBytes = new Map(blobs.map((b) => [b.id, b.bytes]));
+  const refs = new Map();
+  for (const it of items) for (const id of blobIdsOf(it)) refs.set(id, (refs.get(id) || 0) + 1);
+
+  return {
+    ok: true,
+    idbBytes: blobs.reduce((n, b) => n + b.bytes, 0),
+    blobCount: blobs.length,
+    thumbBytes: thumbs.reduce((n, t) => n + t.bytes, 0),
+    localBytes,
+    usage: estimate?.usage ?? null,
+    quota: estimate?.quota ?? null,
+    gc,
+    // Shared blobs are listed under every item that references them (shared > 1).
+    items: items.map((it) => ({
+      id: it.id,
+      bytes: textBytes(it) + blobIdsOf(it).reduce((n, id) => n + (blobBytes.get(id) || 0), 0),
+      originalBytes: it.rendition === 'compressed' ? (blobBytes.get(it.altBlobId) || 0) : 0,
+      shared: refs.get(it.blobId) || 0
+    }))
+  };
+}
+
+// ---------------------------
+// Content hashes (item.hash: SHA-256 hex of the text + HTML, or of the blob bytes)
+// ---------------------------
+// Must match the content script's textHashInput().
+const textHashInput = (text, html) => `${text || ''}\u0000${html || ''}`;
+
+// Stored HTML is always 'preserve'-clean (sanitizer.js), whichever path it came in by. The sanitizer
+// returns '' where it cannot parse, so markup is dropped rather than kept unchecked.
+const cleanHtml = (html) => (html ? ClipHubSanitizer.sanitize(html, 'preserve') : '');
+
+async function sha256Hex(data) {
+  const bytes = (typeof data === 'string') ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Content scripts on insecure (http:) pages have no crypto.subtle.
+async function hashBuffer({ buffer } = {}) {
+  if (!(buffer instanceof ArrayBuffer)) return { ok: false, error: 'bad_request' };
+  return { ok: true, hash: await sha256Hex(buffer) };
+}
+
+// Items saved before hashing existed (or written without one) get their hash from the stored content.
+// New image items hash the bytes as pasted, before compression. The backfill uses the kept original
+// where there is one; an image compressed without keeping it can only be hashed as stored, so it
+// matches re-pastes of those bytes, not of the larger original.
+async function backfillHashes() {
+  await writeQueue;
+  const missing = (await readItems()).filter((x) => !x.hash);
+  const hashes = new Map();
+  for (const it of missing) {
+    let data = null;
+    const pastedBlobId = (it.rendition === 'compressed' && it.altBlobId) ? it.altBlobId : it.blobId;
+    if (it.kind === 'text') data = textHashInput(it.text, it.html);
+    else if (pastedBlobId) data = (await getBlob({ id: pastedBlobId })).buffer || null;
+    else if (it.dataUrl) data = await (await fetch(it.dataUrl)).arrayBuffer().catch(() => null);
+    if (data) hashes.set(it.id, await sha256Hex(data));
+  }
+  if (!hashes.size) return;
+  await mutateItems((items) => {
+    items.forEach((it, i) => {
+      if (!it.hash && hashes.has(it.id)) items[i] = { ...it, hash: hashes.get(it.id) };
+    });
+  });
+}
+
+onLaunch(() => backfillHashes().catch((e) => console.error('hash backfill failed', e)));
+
+// ---------------------------
+// Context menus (capture without copying first)
+// ---------------------------
+const MENU_ITEMS = [
+  { id: 'hub-add-selection', title: 'Add selection to Clipboard Hub', contexts: ['selection'] },
+  { id: 'hub-add-image', title: 'Add image to Clipboard Hub', contexts: ['image'] },
+  { id: 'hub-add-link', title: 'Add link to Clipboard Hub', contexts: ['link'] },
+  { id: 'hub-add-page', title: 'Add page URL to Clipboard Hub', contexts: ['page'] }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus?.removeAll(() => {
+    for (const item of MENU_ITEMS) chrome.contextMenus.create(item);
+  });
+});
+
+const linkHtml = (url, label) => `<a href="${escapeAttr(url)}">${escapeAttr(label || url)}</a>`;
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fileNameFromUrl(url, mime) {
+  let name = '';
+  try {
+    const u = new URL(url);
+    if (u.protocol !== 'data:') name = decodeURIComponent(u.pathname.split('/').pop() || '');
+  } catch (_) {}
+  return name || `image.${(mime.split('/')[1] || 'png').replace(/\+.*$/, '')}`;
+}
+
+// Image bytes for a page image. Fetched here, with the extension's host permissions, because the page's
+// CORS rules would block most cross-origin images for the content script.
+async function fetchImage({ url } = {}) {
+  if (!/^https?:/i.test(String(url || ''))) return { ok: false, error: 'bad_request' };
+  const res = await fetch(url, { credentials: 'omit' });
+  if (!res.ok) return { ok: false, error: `http_${res.status}` };
+  const blob = await res.blob();
+  if (blob.type && !blob.type.startsWith('image/')) return { ok: false, error: 'not_an_image' };
+  const mime = blob.type || 'image/png';
+  return { ok: true, buffer: await blob.arrayBuffer(), mime, name: fileNameFromUrl(url, mime) };
+}
+
+// Ingest candidates, same shape as the content script's ingestCandidates() (files travel as buffers).
+async function menuCandidates(info, tab) {
+  switch (info.menuItemId) {
+    case 'hub-add-selection': {
+      let snap = null;
+      try {
+        snap = await chrome.tabs.sendMessage(tab.id, { type: 'capture.selection' }, { frameId: info.frameId || 0 });
+      } catch (_) {}
+      // Frames without our content script only give us the plain text.
+      return [{ type: 'text', plain: snap?.text || info.selectionText || '', html: snap?.html || '' }];
+    }
+    case 'hub-add-image': {
+      try {
+        const img = await fetchImage({ url: info.srcUrl });
+        if (!img.ok) throw new Error(img.error);
+        return [{ type: 'file', buffer: img.buffer, mime: img.mime, name: img.name }];
+      } catch (e) {
+        console.warn('image fetch failed, keeping the URL', e);
+        return [{ type: 'text', plain: info.srcUrl, html: `<img src="${escapeAttr(info.srcUrl)}">` }];
+      }
+    }
+    case 'hub-add-link':
+      return [{ type: 'text', plain: info.linkUrl, html: linkHtml(info.linkUrl, info.linkText) }];
+    case 'hub-add-page': {
+      const url = info.pageUrl || tab?.url || '';
+      return [{ type: 'text', plain: url, html: linkHtml(url, tab?.title) }];
+    }
+    default:
+      return [];
+  }
+}
+
+// Content the collection already holds moves that item to the top of its section and makes it the
+// most recent instead of adding a copy (the content script's bumpDuplicate()).
+async function bumpDuplicate(hash, collectionId) {
+  const matches = (x) => x.hash === hash && collectionOf(x) === collectionId;
+  if (!hash || !(await readItems()).some(matches)) return false;
+  return mutateItems((items) => {
+    const idx = items.findIndex(matches);
+    if (idx < 0) return false;
+    const [dup] = items.splice(idx, 1);
+    const to = items.findIndex((x) => collectionOf(x) === collectionId && !!x.pinned === !!dup.pinned);
+    items.splice(to < 0 || to > idx ? idx : to, 0, { ...dup, createdAt: Date.now() });
+    return true;
+  });
+}
+
+// Pages without the content script (browser pages, PDFs) get a plain write, without compression.
+async function ingestInBackground(candidates) {
+  const { active } = await readCollections();
+  for (const c of candidates) {
+    const base = { id: uid(), createdAt: Date.now(), collectionId: active };
+    if (c.type === 'file') {
+      const hash = await sha256Hex(c.buffer);
+      if (await bumpDuplicate(hash, active)) continue;
+      await putBlob({ id: base.id, buffer: c.buffer, mime: c.mime, name: c.name, size: c.buffer.byteLength, lastModified: Date.now() });
+      await addItem({
+        item: {
+          ...base,
+          blobId: base.id,
+          kind: c.mime.startsWith('image/') ? 'image' : 'file',
+          name: c.name,
+          mime: c.mime,
+          size: c.buffer.byteLength,
+          hash
+        }
+      });
+    } else if (c.plain || c.html) {
+      const text = (c.plain || '').trimEnd();
+      const html = cleanHtml((c.html || '').trimEnd());
+      const hash = await sha256Hex(textHashInput(text, html));
+      if (await bumpDuplicate(hash, active)) continue;
+      await addItem({ item: { ...base, kind: 'text', text, html, hash } });
+    }
+  }
+}
+
+async function captureFromMenu(info, tab) {
+  const candidates = (await menuCandidates(info, tab)).filter((c) => c.type === 'file' || c.plain || c.html);
+  if (!candidates.length) return;
+  let resp = null;
+  if (tab?.id != null) {
+    try {
+      resp = await chrome.tabs.sendMessage(tab.id, { type: 'ingest', payload: { candidates, source: 'menu' } }, { frameId: 0 });
+    } catch (_) {}
+  }
+  if (!resp?.ok) await ingestInBackground(candidates);
+}
+
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  captureFromMenu(info, tab).catch((e) => console.error('context menu capture failed', e));
+});
+
+// ---------------------------
+// Keyboard commands (manifest "commands"; users rebind them in the browser's shortcut settings)
+// ---------------------------
+async function listCommands() {
+  const commands = await chrome.commands.getAll();
+  return {
+    ok: true,
+    commands: commands.map(({ name, shortcut, description }) => ({ name, shortcut: shortcut || '', description }))
+  };
+}
+
+chrome.commands?.onCommand.addListener(async (name) => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab?.id != null) sendToTab(tab.id, 'command', { name });
+});
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     try {
@@ -93,10 +1301,55 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           return sendResponse(await putBlob(msg.payload));
         case 'blob.get':
           return sendResponse(await getBlob(msg.payload));
+        case 'thumb.get':
+          return sendResponse(await getThumb(msg.payload));
         case 'blob.delete':
           return sendResponse(await deleteBlob(msg.payload));
         case 'blob.clear':
           return sendResponse(await clearAll());
+        case 'blob.gc':
+          return sendResponse(await collectGarbage());
+        case 'image.fetch':
+          return sendResponse(await fetchImage(msg.payload));
+        case 'hash.sha256':
+          return sendResponse(await hashBuffer(msg.payload));
+        case 'storage.stats':
+          return sendResponse(await storageStats());
+        case 'item.list':
+          return sendResponse(await listItems());
+        case 'item.add':
+          return sendResponse(await addItem(msg.payload));
+        case 'item.update':
+          return sendResponse(await updateItem(msg.payload));
+        case 'item.move':
+          return sendResponse(await moveItem(msg.payload));
+        case 'item.remove':
+          return sendResponse(await removeItem(msg.payload));
+        case 'item.clear':
+          return sendResponse(await clearItems(msg.payload));
+        case 'collection.list':
+          return sendResponse(await listCollections());
+        case 'collection.create':
+          return sendResponse(await createCollection(msg.payload));
+        case 'collection.rename':
+          return sendResponse(await renameCollection(msg.payload));
+        case 'collection.remove':
+          return sendResponse(await removeCollection(msg.payload));
+        case 'collection.setActive':
+          return sendResponse(await setActiveCollection(msg.payload));
+        case 'hub.export':
+          return sendResponse(await exportHub(msg.payload));
+        case 'hub.import':
+          return sendResponse(await importHub(msg.payload));
+        case 'options.open':
+          await chrome.runtime.openOptionsPage();
+          return sendResponse({ ok: true });
+        case 'settings.get':
+          return sendResponse(await getSettings());
+        case 'settings.update':
+          return sendResponse(await updateSettings(msg.payload));
+        case 'commands.list':
+          return sendResponse(await listCommands());
         case 'ping':
           return sendResponse({ ok: true, ts: Date.now() });
         default:
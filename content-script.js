@@ -4,9 +4,11 @@
  * Requirements implemented:
  * - Multi-type / batch paste: iterates all clipboard items (files/images/text/html) and supports mixed content.
  * - Smart "Copy All": writes a ClipboardItem with BOTH text/html and text/plain so Word / Notion / Mail can paste images + text together.
- * - Durable persistence: metadata in storage.local; binary blobs persisted via background IndexedDB (service worker).
+ * - Durable persistence: background.js owns metadata (storage.local) and binary blobs (IndexedDB); tabs send item.* ops.
  * - Double paste bug: strong de-dupe (time-window signature) + single ingest queue.
  * - UI/UX: bottom-right floating FAB, glassmorphism drawer, smooth animations, Shadow DOM isolation, overflow-safe text rendering.
+ * - Collections: named staging boards sharing one blob store; each has its own Copy All / Clear.
+ * - Cross-tab sync: every tab follows storage.onChanged + background blob broadcasts, so drawers never go stale.
  */
 (() => {
   // Prevent double injection
@@ -24,11 +26,6 @@
       ? ext.storage.local.get(key)
       : new Promise((resolve) => ext.storage.local.get(key, resolve));
 
-  const storageSet = (obj) =>
-    isPromiseAPI
-      ? ext.storage.local.set(obj)
-      : new Promise((resolve) => ext.storage.local.set(obj, resolve));
-
   const runtimeSend = (type, payload) => {
     // Firefox (browser.*) returns a promise; Chrome uses callback + lastError
     try {
@@ -49,9 +46,10 @@
   // ---------------------------
   const STORAGE_KEY = 'clip_hub_v6_state';
   const OLD_KEY = 'clip_hub_v5_data';
-  const INGEST_DEDUP_WINDOW_MS = 900;
-  const IMAGE_SOFT_LIMIT = 2 * 1024 * 1024; // compress candidates above this
-  const IMAGE_MAX_DIM = 2048;
+  const COLLECTIONS_KEY = 'clip_hub_v6_collections';
+  const DEFAULT_COLLECTION = 'default';
+  const IMAGE_MIME = { webp: 'image/webp', jpeg: 'image/jpeg', avif: 'image/avif' };
+  const OPEN_SUBTITLE = 'Paste multiple items (Ctrl/⌘+V) — images + text are supported together.';
 
   // ---------------------------
   // Small utilities
@@ -78,6 +76,27 @@
     return ('0000000' + h.toString(16)).slice(-8);
   }
 
+  // Content hash stored as item.hash (SHA-256 hex); background.js hashes the same input for old items.
+  const textHashInput = (text, html) => `${text || ''}\u0000${html || ''}`;
+
+  // crypto.subtle only exists in secure contexts; on http: pages the background hashes for us.
+  async function sha256(data) {
+    const bytes = (typeof data === 'string')
+      ? new TextEncoder().encode(data)
+      : new Uint8Array(data instanceof Blob ? await data.arrayBuffer() : data);
+    try {
+      if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+      }
+      const resp = await runtimeSend('hash.sha256', { buffer: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) });
+      return resp?.ok ? resp.hash : '';
+    } catch (e) {
+      console.warn('hashing failed', e);
+      return '';
+    }
+  }
+
   function escapeHtml(s) {
     return String(s)
       .replaceAll('&', '&amp;')
@@ -87,22 +106,48 @@
       .replaceAll("'", '&#39;');
   }
 
-  // Very lightweight sanitizer: strips scripts/styles + inline handlers.
-  function sanitizeHtml(html) {
+  // Allowlist sanitizer (sanitizer.js); output paths use the profile from the settings.
+  function sanitizeHtml(html, profile = settings.htmlProfile) {
+    return ClipHubSanitizer.sanitize(html, profile);
+  }
+
+  // Markup for the card preview: sanitized, with links opening in a new tab instead of navigating the page.
+  // The preview frame loads nothing itself: remote images become click-to-load placeholders fetched by
+  // the background (no cookies, no page referrer), and the CSP below refuses anything that slips through.
+  const PREVIEW_CSP = "default-src 'none'; img-src data: blob:; style-src 'unsafe-inline'";
+
+  function previewHtml(html) {
     try {
-      const doc = new DOMParser().parseFromString(html, 'text/html');
-      doc.querySelectorAll('script, style, link[rel="stylesheet"]').forEach((n) => n.remove());
-      doc.querySelectorAll('*').forEach((el) => {
-        [...el.attributes].forEach((a) => {
-          if (a.name.startsWith('on')) el.removeAttribute(a.name);
-        });
-      });
-      return doc.body.innerHTML || '';
+      const doc = new DOMParser().parseFromString(sanitizeHtml(html), 'text/html');
+      for (const a of doc.querySelectorAll('a[href]')) {
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+      }
+      for (const img of doc.querySelectorAll('img')) {
+        const src = img.getAttribute('src') || '';
+        if (/^data:/i.test(src)) continue;
+        const button = doc.createElement('button');
+        button.type = 'button';
+        button.className = 'remote-img';
+        button.dataset.src = src;
+        if (img.alt) button.dataset.alt = img.alt;
+        let host = '';
+        try { host = new URL(src).hostname; } catch (_) {}
+        button.textContent = `Load image${host ? ` from ${host}` : ''}`;
+        img.replaceWith(button);
+      }
+      return doc.body.innerHTML;
     } catch (_) {
       return '';
     }
   }
 
+  function previewDocument(html) {
+    return `<!doctype html><html><head><meta charset="utf-8">`
+      + `<meta http-equiv="Content-Security-Policy" content="${PREVIEW_CSP}">`
+      + `<style>${PREVIEW_CSS}</style></head><body>${previewHtml(html)}</body></html>`;
+  }
+
   async function readDTString(dtItem) {
     return new Promise((resolve) => dtItem.getAsString((s) => resolve(s ?? '')));
   }
@@ -115,9 +160,23 @@
     });
   }
 
-  async function maybeCompressImage(blob) {
+  // Unnamed or generically named PNGs are what OS screenshot tools put on the clipboard.
+  function isPngScreenshot(blob, name) {
+    if (blob.type !== 'image/png') return false;
+    return !name || /^(image|clipboard-image)\.png$/i.test(name) || /screen ?shot|screen capture|snip/i.test(name);
+  }
+
+  const canvasToBlob = (canvas, type, quality) => new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+  // Sizes, format and quality come from the settings (image*, keepPngScreenshots). force re-encodes even
+  // small images (storage dashboard "Recompress"); the result is kept only if smaller.
+  async function maybeCompressImage(blob, { force = false, name = blob?.name || '' } = {}) {
     if (!blob || !blob.type || !blob.type.startsWith('image/')) return blob;
-    if (blob.size <= IMAGE_SOFT_LIMIT) return blob;
+    if (!force) {
+      if (settings.imageFormat === 'original') return blob;
+      if (settings.keepPngScreenshots && isPngScreenshot(blob, name)) return blob;
+      if (blob.size <= settings.imageSoftLimitKB * 1024) return blob;
+    }
 
     try {
       const url = URL.createObjectURL(blob);
@@ -128,9 +187,9 @@
       URL.revokeObjectURL(url);
 
       const maxDim = Math.max(img.naturalWidth || img.width, img.naturalHeight || img.height);
-      const scale = clamp(IMAGE_MAX_DIM / maxDim, 0.15, 1);
+      const scale = clamp(settings.imageMaxDim / maxDim, 0.15, 1);
 
-      if (scale >= 0.999) return blob;
+      if (scale >= 0.999 && !force) return blob;
 
       const w = Math.max(1, Math.round((img.naturalWidth || img.width) * scale));
       const h = Math.max(1, Math.round((img.naturalHeight || img.height) * scale));
@@ -140,11 +199,18 @@
       canvas.height = h;
       const ctx = canvas.getContext('2d');
       if (!ctx) return blob;
+      const type = IMAGE_MIME[settings.imageFormat] || IMAGE_MIME.webp;
+      if (type === IMAGE_MIME.jpeg) {
+        // No alpha in JPEG: flatten onto white instead of black.
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, w, h);
+      }
       ctx.drawImage(img, 0, 0, w, h);
 
-      const out = await new Promise((resolve) => {
-        canvas.toBlob((b) => resolve(b), 'image/webp', 0.88);
-      });
+      const quality = settings.imageQuality / 100;
+      let out = await canvasToBlob(canvas, type, quality);
+      // Browsers without an encoder for the type (AVIF mostly) hand back PNG.
+      if (out && out.type !== type) out = await canvasToBlob(canvas, IMAGE_MIME.webp, quality);
 
       if (out && out.size && out.size < blob.size) return out;
       return blob;
@@ -153,6 +219,52 @@
     }
   }
 
+  // Canvas size limit shared by the major engines.
+  const MAX_CANVAS_SIDE = 16384;
+
+  // Intrinsic size of an SVG without width/height attributes comes from its viewBox (or the CSS default).
+  async function svgSize(blob) {
+    try {
+      const root = new DOMParser().parseFromString(await blob.text(), 'image/svg+xml').documentElement;
+      const box = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+      if (box.length === 4 && box[2] > 0 && box[3] > 0) return { w: box[2], h: box[3] };
+    } catch (_) {}
+    return { w: 300, h: 150 };
+  }
+
+  // Clipboards reliably accept only image/png. Re-encodes anything else (first frame of animations);
+  // SVG is rasterized at settings.svgCopyScale. Returns null when the image cannot be decoded.
+  async function toClipboardPng(blob) {
+    if (blob.type === 'image/png') return blob;
+    const url = URL.createObjectURL(blob);
+    try {
+      const img = new Image();
+      img.decoding = 'async';
+      img.src = url;
+      await img.decode();
+
+      const isSvg = blob.type === 'image/svg+xml';
+      let w = img.naturalWidth;
+      let h = img.naturalHeight;
+      if (!w || !h) ({ w, h } = await svgSize(blob));
+      const scale = Math.min(isSvg ? settings.svgCopyScale : 1, MAX_CANVAS_SIDE / Math.max(w, h));
+      w = Math.max(1, Math.round(w * scale));
+      h = Math.max(1, Math.round(h * scale));
+
+      const canvas = document.createElement('canvas');
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return null;
+      ctx.drawImage(img, 0, 0, w, h);
+      return await canvasToBlob(canvas, 'image/png');
+    } catch (_) {
+      return null;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
   // ---------------------------
   // Shadow DOM UI
   // ---------------------------
@@ -162,7 +274,7 @@
   host.style.zIndex = '2147483647';
   host.style.inset = '0';
   host.style.pointerEvents = 'none'; // re-enable on internal root
-  document.documentElement.appendChild(host);
+  // Mounted by applySiteAccess() once the settings say the hub runs on this site.
 
   const shadow = host.attachShadow({ mode: 'open' });
 
@@ -177,7 +289,11 @@
     img: svg('<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>'),
     file: svg('<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline>'),
     wand: svg('<path d="M15 4l5 5"></path><path d="M13 6l5 5"></path><path d="M3 21l9-9"></path><path d="M12 12l3 3"></path>'),
-    paste: svg('<path d="M19 21H8a2 2 0 0 1-2-2V7a2 2 0 0 1 2-2h2"></path><path d="M14 3h4a2 2 0 0 1 2 2v4"></path><rect x="10" y="3" width="4" height="4" rx="1"></rect>')
+    folder: svg('<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>', 16),
+    grip: svg('<circle cx="9" cy="6" r="1"></circle><circle cx="15" cy="6" r="1"></circle><circle cx="9" cy="12" r="1"></circle><circle cx="15" cy="12" r="1"></circle><circle cx="9" cy="18" r="1"></circle><circle cx="15" cy="18" r="1"></circle>', 16),
+    pin: svg('<line x1="12" y1="17" x2="12" y2="22"></line><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path>', 16),
+    paste: svg('<path d="M19 21H8a2 2 0 0 1-2-2V7a2 2 0 0 1 2-2h2"></path><path d="M14 3h4a2 2 0 0 1 2 2v4"></path><rect x="10" y="3" width="4" height="4" rx="1"></rect>'),
+    more: svg('<circle cx="5" cy="12" r="1"></circle><circle cx="12" cy="12" r="1"></circle><circle cx="19" cy="12" r="1"></circle>')
   };
 
   shadow.innerHTML = `
@@ -316,6 +432,19 @@
     font-weight: 500;
   }
   .title-wrap { display: flex; flex-direction: column; }
+  .collection {
+    height: 32px;
+    max-width: 150px;
+    margin-left: auto;
+    border-radius: 10px;
+    border: 1px solid rgba(255,255,255,0.10);
+    background: rgba(255,255,255,0.06);
+    color: var(--text);
+    font: 650 12px var(--font);
+    padding: 0 8px;
+    cursor: pointer;
+  }
+  .collection option { color: #111; }
   .iconbtn {
     width: 36px;
     height: 36px;
@@ -361,6 +490,10 @@
     border-color: rgba(10,132,255,0.45);
     background: rgba(10,132,255,0.22);
   }
+  .split { display: flex; min-width: 0; }
+  .split .btn:first-child { flex: 1; min-width: 0; border-radius: 12px 0 0 12px; }
+  .btn.caret { width: 32px; flex-shrink: 0; padding: 0; border-left: 0; border-radius: 0 12px 12px 0; }
+  .fmt { font-size: 11px; font-weight: 600; color: var(--sub); }
   .btn.danger { color: #ffd6d3; border-color: rgba(255,69,58,0.45); background: rgba(255,69,58,0.14); }
 
   .drop {
@@ -381,6 +514,55 @@
     color: rgba(235,235,245,0.82);
   }
 
+  /* Search & filters */
+  .filters { display: grid; gap: 8px; }
+  .search {
+    height: 36px;
+    width: 100%;
+    border-radius: 12px;
+    border: 1px solid rgba(255,255,255,0.10);
+    background: rgba(0,0,0,0.18);
+    color: var(--text);
+    font: 13px var(--font);
+    padding: 0 12px;
+    outline: none;
+    transition: border-color 140ms ease;
+  }
+  .search:focus { border-color: rgba(10,132,255,0.65); }
+  .search::placeholder { color: var(--sub); }
+  .filter-row { display: flex; align-items: center; gap: 6px; flex-wrap: wrap; }
+  .chip {
+    height: 28px;
+    padding: 0 10px;
+    border-radius: 999px;
+    border: 1px solid rgba(255,255,255,0.10);
+    background: rgba(255,255,255,0.04);
+    color: var(--sub);
+    font: 600 12px var(--font);
+    cursor: pointer;
+    transition: background 140ms ease, color 140ms ease, border-color 140ms ease;
+  }
+  .chip:hover { background: rgba(255,255,255,0.08); }
+  .chip.active { color: var(--text); border-color: rgba(10,132,255,0.45); background: rgba(10,132,255,0.22); }
+  .range {
+    margin-left: auto;
+    height: 28px;
+    border-radius: 999px;
+    border: 1px solid rgba(255,255,255,0.10);
+    background: rgba(255,255,255,0.04);
+    color: var(--text);
+    font: 600 12px var(--font);
+    padding: 0 8px;
+    cursor: pointer;
+  }
+  .range option { color: #111; }
+  mark {
+    background: rgba(255,214,10,0.38);
+    color: inherit;
+    border-radius: 3px;
+    padding: 0 1px;
+  }
+
   /* List */
   .list {
     flex: 1;
@@ -388,8 +570,10 @@
     overflow: auto;
     display: flex;
     flex-direction: column;
-    gap: 12px;
   }
+  .list:focus { outline: none; }
+  /* Rows are spaced by margins (not gap) so the spacers standing in for off-screen rows add none. */
+  .spacer { flex-shrink: 0; }
   .list::-webkit-scrollbar { width: 6px; }
   .list::-webkit-scrollbar-thumb { background: rgba(255,255,255,0.16); border-radius: 999px; }
   .list::-webkit-scrollbar-thumb:hover { background: rgba(255,255,255,0.22); }
@@ -408,13 +592,21 @@
     background: rgba(255,255,255,0.06);
     overflow: hidden;
     box-shadow: 0 10px 26px rgba(0,0,0,0.18);
-    animation: rise 180ms ease;
+    flex-shrink: 0;
+    margin-bottom: 12px;
   }
+  .card.fresh { animation: rise 180ms ease; }
   @keyframes rise {
     from { transform: translateY(6px); opacity: 0.0; }
     to { transform: translateY(0); opacity: 1; }
   }
 
+  .card:focus { outline: none; }
+  .card:focus-visible {
+    border-color: rgba(10,132,255,0.75);
+    box-shadow: 0 0 0 3px rgba(10,132,255,0.30), 0 10px 26px rgba(0,0,0,0.18);
+  }
+
   .card-head {
     padding: 10px 12px;
     display: flex;
@@ -424,11 +616,23 @@
     border-bottom: 1px solid rgba(255,255,255,0.08);
   }
   .meta {
+    flex: 1;
     display: flex;
     flex-direction: column;
     gap: 2px;
     min-width: 0;
   }
+  .grip {
+    flex-shrink: 0;
+    margin: 0 -4px 0 -4px;
+    color: var(--sub);
+    cursor: grab;
+    display: inline-flex;
+  }
+  .grip:active { cursor: grabbing; }
+  .card.dragging { opacity: 0.45; }
+  .card.drop-before { box-shadow: 0 -3px 0 0 var(--accent), 0 10px 26px rgba(0,0,0,0.18); }
+  .card.drop-after { box-shadow: 0 3px 0 0 var(--accent), 0 10px 26px rgba(0,0,0,0.18); }
   .kind {
     font-size: 12px;
     font-weight: 800;
@@ -463,6 +667,42 @@
   .mini:hover { background: rgba(255,255,255,0.08); transform: translateY(-1px); }
   .mini:active { transform: scale(0.98); }
   .mini.danger { color: #ffd6d3; border-color: rgba(255,69,58,0.35); background: rgba(255,69,58,0.10); }
+  .mini.on { color: #ffd60a; border-color: rgba(255,214,10,0.40); background: rgba(255,214,10,0.12); }
+
+  .card.pinned { border-color: rgba(255,214,10,0.28); }
+  .card.selected { border-color: rgba(10,132,255,0.55); background: rgba(10,132,255,0.12); }
+  .pick {
+    flex-shrink: 0;
+    width: 16px;
+    height: 16px;
+    margin: 0;
+    accent-color: var(--accent);
+    cursor: pointer;
+  }
+
+  .bulk {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    flex-wrap: wrap;
+    padding: 8px 10px;
+    border-radius: 14px;
+    border: 1px solid rgba(10,132,255,0.35);
+    background: rgba(10,132,255,0.10);
+  }
+  .bulk[hidden] { display: none; }
+  .bulk-count { font-size: 12px; font-weight: 700; color: var(--text); margin-right: auto; }
+  .chip.danger { color: #ffd6d3; border-color: rgba(255,69,58,0.45); background: rgba(255,69,58,0.14); }
+  .section {
+    font-size: 11px;
+    font-weight: 800;
+    letter-spacing: 0.6px;
+    text-transform: uppercase;
+    color: var(--sub);
+    flex-shrink: 0;
+    margin: 0 2px 8px;
+    padding-top: 2px;
+  }
 
   .body { padding: 12px; }
 
@@ -484,6 +724,32 @@
     -webkit-box-orient: vertical;
     overflow: hidden;
   }
+  .text-box.source { color: rgba(235,235,245,0.72); }
+  .views { display: flex; gap: 4px; margin-bottom: 8px; }
+  .views button {
+    border: 1px solid rgba(255,255,255,0.10);
+    border-radius: 999px;
+    padding: 2px 9px;
+    background: none;
+    color: var(--sub);
+    font: 11px var(--font);
+    cursor: pointer;
+  }
+  .views button.active { color: var(--text); background: rgba(255,255,255,0.10); }
+  /* Rendered HTML lives in a sandboxed frame sized to its content (buildPreviewFrame). */
+  .rich-preview {
+    border-radius: 12px;
+    overflow: auto;
+    contain: layout paint;
+  }
+  .rich-preview iframe {
+    display: block;
+    width: 100%;
+    height: 0;
+    border: 0;
+    background: #fff;
+  }
+  .rich-preview.clamp { max-height: 180px; overflow: hidden; }
   .text-more {
     margin-top: 8px;
     font-size: 12px;
@@ -500,6 +766,18 @@
     background: rgba(0,0,0,0.22);
     border: 1px solid rgba(255,255,255,0.06);
   }
+  .img:not([src]) { min-height: 120px; } /* thumbnail still loading */
+  .rendition { display: flex; align-items: center; gap: 8px; margin-top: 6px; font-size: 11px; color: var(--sub); }
+  .rendition b { color: var(--text); font-weight: 600; }
+  .rendition button {
+    margin-left: auto;
+    border: 0;
+    padding: 0;
+    background: none;
+    color: rgba(10,132,255,0.95);
+    font: inherit;
+    cursor: pointer;
+  }
 
   .file-row {
     display: flex;
@@ -525,6 +803,107 @@
   }
   .file-text { min-width: 0; display: flex; flex-direction: column; gap: 2px; }
 
+  /* Popover menu */
+  .menu {
+    position: fixed;
+    min-width: 200px;
+    max-width: 300px;
+    max-height: 320px;
+    overflow: auto;
+    padding: 6px;
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    border-radius: 14px;
+    border: 1px solid var(--border);
+    background: rgba(28,28,30,0.97);
+    box-shadow: var(--shadow);
+    z-index: 3;
+  }
+  .menu[hidden] { display: none; }
+  .menu-entry {
+    text-align: left;
+    padding: 8px 10px;
+    border: 0;
+    border-radius: 10px;
+    background: transparent;
+    color: var(--text);
+    font: 600 13px var(--font);
+    cursor: pointer;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .menu-entry:hover, .menu-entry:focus { background: rgba(10,132,255,0.22); outline: none; }
+  .menu-entry:disabled { color: var(--sub); cursor: default; background: transparent; }
+  .menu-sep { height: 1px; margin: 4px 6px; background: rgba(255,255,255,0.10); }
+
+  /* Command palette */
+  .palette {
+    position: absolute;
+    top: 64px;
+    left: 12px;
+    right: 12px;
+    max-height: calc(100% - 88px);
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 10px;
+    border-radius: 16px;
+    border: 1px solid var(--border);
+    background: rgba(28,28,30,0.96);
+    box-shadow: var(--shadow);
+    z-index: 2;
+  }
+  .palette[hidden] { display: none; }
+  .palette-list { overflow: auto; display: flex; flex-direction: column; gap: 2px; }
+  .palette-entry {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 8px 10px;
+    border-radius: 10px;
+    color: var(--text);
+    font-size: 13px;
+    cursor: pointer;
+    min-width: 0;
+  }
+  .palette-entry.active { background: rgba(10,132,255,0.22); }
+  .palette-entry .label { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .palette-entry .hint { font-size: 11px; color: var(--sub); flex-shrink: 0; }
+  .palette-foot { font-size: 11px; color: var(--sub); padding: 0 2px; }
+
+  /* Storage dashboard */
+  .storage {
+    position: absolute;
+    top: 64px;
+    left: 12px;
+    right: 12px;
+    max-height: calc(100% - 88px);
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    padding: 12px;
+    border-radius: 16px;
+    border: 1px solid var(--border);
+    background: rgba(28,28,30,0.96);
+    box-shadow: var(--shadow);
+    z-index: 2;
+  }
+  .storage[hidden] { display: none; }
+  .storage-head { display: flex; align-items: center; gap: 8px; font-size: 14px; font-weight: 700; color: var(--text); }
+  .storage-head .grow { flex: 1; }
+  .storage-summary { display: grid; grid-template-columns: 1fr auto; gap: 4px 12px; font-size: 12px; color: var(--sub); }
+  .storage-summary b { color: var(--text); font-weight: 600; text-align: right; }
+  .meter { grid-column: 1 / -1; height: 6px; border-radius: 999px; background: rgba(255,255,255,0.08); overflow: hidden; }
+  .meter > div { height: 100%; background: var(--accent); }
+  .storage-list { overflow: auto; display: flex; flex-direction: column; gap: 2px; }
+  .storage-row { display: flex; align-items: center; gap: 8px; padding: 6px 8px; border-radius: 10px; font-size: 12px; color: var(--text); min-width: 0; }
+  .storage-row:hover { background: rgba(255,255,255,0.05); }
+  .storage-row .label { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .storage-row .where { color: var(--sub); font-size: 11px; flex-shrink: 0; }
+  .storage-row .bytes { font-variant-numeric: tabular-nums; flex-shrink: 0; width: 64px; text-align: right; }
+
   /* Toast */
   .toast {
     position: fixed;
@@ -559,14 +938,46 @@
         <div class="title">${ICONS.layers} Clipboard Hub</div>
         <div class="subtitle" id="subtitle">Paste multiple items, then Copy All as rich content.</div>
       </div>
+      <select class="collection" id="collection" title="Collection"></select>
+      <button class="iconbtn" id="btn-more" title="More">${ICONS.more}</button>
       <button class="iconbtn" id="btn-close" title="Close">${ICONS.close}</button>
+      <input type="file" id="import-file" accept=".zip,application/zip" hidden>
     </div>
 
     <div class="controls">
       <button class="btn primary" id="btn-smart" title="Read from Clipboard API">${ICONS.wand} Smart Paste (Clipboard)</button>
       <div class="row">
-        <button class="btn" id="btn-copy-all">${ICONS.copy} Copy All</button>
-        <button class="btn danger" id="btn-clear">${ICONS.trash} Clear</button>
+        <div class="split">
+          <button class="btn" id="btn-copy-all">${ICONS.copy} Copy All<span class="fmt" id="copy-format-label"></span></button>
+          <button class="btn caret" id="btn-copy-format" title="Copy All format" aria-haspopup="menu">▾</button>
+        </div>
+        <button class="btn danger" id="btn-clear" title="Clear all items except pinned ones">${ICONS.trash} Clear</button>
+      </div>
+      <div class="filters">
+        <input class="search" id="search" type="search" placeholder="Search text, files, types…" autocomplete="off" spellcheck="false" />
+        <div class="filter-row" id="kind-chips">
+          <button class="chip active" data-kind="all">All</button>
+          <button class="chip" data-kind="text">Text</button>
+          <button class="chip" data-kind="image">Images</button>
+          <button class="chip" data-kind="file">Files</button>
+          <button class="chip" data-kind="dupes" id="chip-dupes" title="Items whose content is saved more than once" hidden>Duplicates</button>
+          <select class="range" id="date-range" title="Date range">
+            <option value="any">Any time</option>
+            <option value="today">Today</option>
+            <option value="7d">Last 7 days</option>
+            <option value="30d">Last 30 days</option>
+            <option value="older">Older than 30 days</option>
+          </select>
+        </div>
+      </div>
+      <div class="bulk" id="bulk" hidden>
+        <span class="bulk-count" id="bulk-count"></span>
+        <button class="chip" data-bulk="copy" title="Copy selected in the copy format">Copy</button>
+        <button class="chip" data-bulk="move" title="Move or copy selected to a collection">Move…</button>
+        <button class="chip" data-bulk="download" title="Download selected">Download</button>
+        <button class="chip" data-bulk="merge" title="Merge selected text items into one">Merge</button>
+        <button class="chip danger" data-bulk="delete" title="Delete selected">Delete</button>
+        <button class="chip" data-bulk="none" title="Clear selection (Esc)">✕</button>
       </div>
       <div class="drop" id="drop-target">
         Click here and press <b>Ctrl/⌘ + V</b><br/>
@@ -574,10 +985,28 @@
       </div>
     </div>
 
+    <div class="palette" id="palette" role="dialog" aria-label="Command palette" hidden>
+      <input class="search" id="palette-input" type="text" placeholder="Type a command or jump to an item…" autocomplete="off" spellcheck="false" />
+      <div class="palette-list" id="palette-list" role="listbox"></div>
+      <div class="palette-foot">↑↓ navigate · Enter run / jump · Ctrl/⌘+Enter copy item · Esc close</div>
+    </div>
+
+    <div class="storage" id="storage" role="dialog" aria-label="Storage usage" hidden>
+      <div class="storage-head">
+        <span class="grow">Storage</span>
+        <button class="chip" id="btn-gc" title="Delete stored files no item references">Reclaim</button>
+        <button class="iconbtn" id="btn-storage-close" title="Close (Esc)">${ICONS.close}</button>
+      </div>
+      <div class="storage-summary" id="storage-summary"></div>
+      <div class="storage-list" id="storage-list"></div>
+    </div>
+
     <textarea id="trap" aria-hidden="true" style="position:fixed;left:-9999px;top:0;width:1px;height:1px;opacity:0;"></textarea>
-    <div class="list" id="list"></div>
+    <div class="list" id="list" role="listbox" aria-label="Clipboard items" tabindex="-1"></div>
   </div>
 
+  <div class="menu" id="menu" role="menu" hidden></div>
+
   <div class="toast" id="toast">Copied</div>
 </div>
 `;
@@ -589,15 +1018,41 @@
   const toastEl = $('toast');
   const badgeEl = $('badge');
   const subtitleEl = $('subtitle');
+  const searchEl = $('search');
+  const chipsEl = $('kind-chips');
+  const rangeEl = $('date-range');
+  const paletteEl = $('palette');
+  const paletteInput = $('palette-input');
+  const paletteList = $('palette-list');
+  const collectionEl = $('collection');
+  const bulkEl = $('bulk');
+  const storageEl = $('storage');
+  const menuEl = $('menu');
 
   // ---------------------------
   // State
   // ---------------------------
-  /** @type {{ items: Array<any> }} */
-  const state = { items: [] };
+  /**
+   * items: every item of every collection (newest first); views show the active collection only.
+   * @type {{ items: Array<any>, collections: Array<{ id: string, name: string }>, active: string }}
+   */
+  const state = { items: [], collections: [], active: DEFAULT_COLLECTION };
+
+  const collectionOf = (it) => it.collectionId || DEFAULT_COLLECTION;
+  const inActive = (it) => collectionOf(it) === state.active;
+  const activeItems = () => state.items.filter(inActive);
+  const activeCollection = () => state.collections.find((c) => c.id === state.active);
 
-  /** blob cache: blobId -> { blob, url } */
+  // Display order: pinned section first, then the rest; both keep the (manually sortable) list order.
+  const displayOrder = (items) => [...items.filter((it) => it.pinned), ...items.filter((it) => !it.pinned)];
+
+  /** Full bytes fetched on demand (copy, download, export) or ingested in this tab: blobId -> { blob, url } */
   const blobCache = new Map();
+  /** Card images, loaded as cards scroll into view: blobId -> object URL of the thumbnail (or of the full bytes) */
+  const thumbCache = new Map();
+  const cachedBlobIds = () => new Set([...blobCache.keys(), ...thumbCache.keys()]);
+  // The rendition in use and, when the original was kept, the other one.
+  const itemBlobIds = (it) => [it.blobId, it.altBlobId].filter(Boolean);
 
   // ---------------------------
   // Toast
@@ -615,47 +1070,99 @@
   }
 
   // ---------------------------
-  // Persistence (metadata in storage.local; blobs in background IDB)
+  // Persistence (background owns metadata in storage.local + blobs in IDB; we are a view)
   // ---------------------------
-  async function persistMetadata() {
-    const serializable = state.items.map((it) => {
-      const { expanded, pending, error, ...rest } = it;
+  /** Local ops the background has not echoed back yet: id -> 'add' | 'remove' | 'local' (could not be saved). */
+  const unsynced = new Map();
+
+  function toSerializable(items) {
+    return items.map((it) => {
+      const { expanded, view, pending, error, ...rest } = it;
       return rest;
     });
+  }
+
+  async function sendItemOp(type, payload) {
+    const resp = await runtimeSend(type, payload);
+    if (!resp?.ok) throw new Error(resp?.error || `${type}_failed`);
+    return resp;
+  }
+
+  // Full bytes of a stored blob, fetched from the background once and cached.
+  async function fetchBlob(blobId, mime = '') {
+    const cached = blobCache.get(blobId);
+    if (cached) return cached.blob;
     try {
-      await storageSet({ [STORAGE_KEY]: serializable });
+      const resp = await runtimeSend('blob.get', { id: blobId });
+      if (!resp?.ok || !resp?.buffer) return null;
+      const blob = new Blob([resp.buffer], { type: resp.mime || mime || 'application/octet-stream' });
+      blobCache.set(blobId, { blob, url: URL.createObjectURL(blob) });
+      return blob;
     } catch (e) {
-      console.error('storageSet failed', e);
-      toast('Storage quota hit');
+      console.warn('fetch blob failed', blobId, e);
+      return null;
     }
   }
 
-  async function restoreBlobs(items) {
-    for (const it of items) {
-      if (!it.blobId) continue;
-      if (blobCache.has(it.blobId)) continue;
-      try {
-        const resp = await runtimeSend('blob.get', { id: it.blobId });
-        if (!resp?.ok || !resp?.buffer) continue;
-        const blob = new Blob([resp.buffer], { type: resp.mime || it.mime || 'application/octet-stream' });
-        const url = URL.createObjectURL(blob);
-        blobCache.set(it.blobId, { blob, url });
-        it.mime = it.mime || resp.mime;
-        it.size = it.size || resp.size;
-      } catch (e) {
-        console.warn('restore blob failed', it.blobId, e);
-      }
+  /** In-flight thumb.get requests: blobId -> Promise<url | ''> */
+  const thumbLoads = new Map();
+
+  function loadThumb(blobId) {
+    if (thumbCache.has(blobId)) return Promise.resolve(thumbCache.get(blobId));
+    if (thumbLoads.has(blobId)) return thumbLoads.get(blobId);
+    const load = runtimeSend('thumb.get', { id: blobId })
+      .then((resp) => {
+        if (!resp?.ok || !resp?.buffer) return '';
+        // Dropped while in flight (item removed): do not resurrect the entry.
+        if (!state.items.some((it) => itemBlobIds(it).includes(blobId))) return '';
+        const url = URL.createObjectURL(new Blob([resp.buffer], { type: resp.mime }));
+        thumbCache.set(blobId, url);
+        return url;
+      })
+      .catch((e) => {
+        console.warn('thumb load failed', blobId, e);
+        return '';
+      })
+      .finally(() => thumbLoads.delete(blobId));
+    thumbLoads.set(blobId, load);
+    return load;
+  }
+
+  // Card images without a cached source wait here until they come near the viewport
+  // (a closed drawer never intersects, so nothing is fetched until it opens).
+  const thumbObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      const img = entry.target;
+      thumbObserver.unobserve(img);
+      loadThumb(img.dataset.blobId).then((url) => {
+        if (url && img.isConnected) img.src = url;
+      });
+    }
+  }, { root: listEl, rootMargin: '300px 0px' });
+
+  async function fetchItems() {
+    try {
+      const resp = await sendItemOp('item.list', {});
+      return Array.isArray(resp.items) ? resp.items : [];
+    } catch (e) {
+      // Background unreachable: fall back to a read-only view of the stored list.
+      console.warn('item.list failed', e);
+      const res = await storageGet(STORAGE_KEY);
+      return Array.isArray(res?.[STORAGE_KEY]) ? res[STORAGE_KEY] : [];
     }
   }
 
   async function load() {
     // v6 state
-    const res = await storageGet([STORAGE_KEY, OLD_KEY]);
-    const items = res?.[STORAGE_KEY] || [];
-    state.items = Array.isArray(items) ? items : [];
+    await loadSettings();
+    applySiteAccess();
+    await loadCollections();
+    state.items = await fetchItems();
 
     // one-time migration from v5 (best-effort)
-    if (!state.items.length && Array.isArray(res?.[OLD_KEY]) && res[OLD_KEY].length) {
+    const res = state.items.length ? null : await storageGet(OLD_KEY);
+    if (Array.isArray(res?.[OLD_KEY]) && res[OLD_KEY].length) {
       const migrated = [];
       for (const it of res[OLD_KEY]) {
         if (!it || typeof it !== 'object') continue;
@@ -682,527 +1189,2583 @@
         // v5 file items usually weren't persistable; we skip to avoid broken entries.
       }
       state.items = migrated;
-      await persistMetadata();
-      toast('Migrated v5 items');
+      try {
+        for (let i = 0; i < migrated.length; i++) {
+          await sendItemOp('item.add', { item: migrated[i], index: i });
+        }
+        toast('Migrated v5 items');
+      } catch (e) {
+        console.error('v5 migration failed', e);
+      }
     }
 
-    await restoreBlobs(state.items);
     render();
   }
 
+  async function refreshFromBackground() {
+    await applyRemoteItems(await fetchItems());
+  }
+
   // ---------------------------
-  // Item operations
+  // Settings (schema in settings.js; background.js persists them)
   // ---------------------------
-  function addItemLocal(it) {
-    state.items.unshift(it);
-    render();
-    persistMetadata();
+  let settings = ClipHubSettings.normalize({});
+
+  async function loadSettings() {
+    try {
+      const resp = await runtimeSend('settings.get', {});
+      if (resp?.ok) applySettings(resp.settings);
+    } catch (e) {
+      console.warn('settings.get failed', e);
+    }
   }
 
-  function removeItem(id) {
-    const idx = state.items.findIndex((x) => x.id === id);
-    if (idx < 0) return;
+  function applySettings(next) {
+    const prevProfile = settings.htmlProfile;
+    settings = ClipHubSettings.normalize(next);
+    renderCopyFormat();
+    applySiteAccess();
+    // Rendered previews are sanitized with the profile (see cardSignature()).
+    if (settings.htmlProfile !== prevProfile) render();
+  }
 
-    const it = state.items[idx];
-    state.items.splice(idx, 1);
+  // Disabled sites get no host element, paste capture, copy recording or shortcuts; context menu
+  // captures there are written by the background directly.
+  let enabledHere = false;
 
-    if (it?.blobId && blobCache.has(it.blobId)) {
-      try { URL.revokeObjectURL(blobCache.get(it.blobId).url); } catch (_) {}
-      blobCache.delete(it.blobId);
-      runtimeSend('blob.delete', { id: it.blobId }).catch(() => {});
+  function applySiteAccess() {
+    const next = ClipHubSettings.siteEnabled(settings, location.hostname);
+    if (next === enabledHere && host.isConnected === next) return;
+    enabledHere = next;
+    if (next) {
+      document.documentElement.appendChild(host);
+    } else {
+      toggleOpen(false);
+      host.remove();
     }
+  }
 
-    render();
-    persistMetadata();
+  async function disableHere() {
+    const hostname = location.hostname;
+    if (!window.confirm(`Turn Clipboard Hub off on ${hostname}? You can turn it back on in the extension's settings.`)) return;
+    const patch = { sitesAllow: settings.sitesAllow.filter((h) => h !== hostname) };
+    if (ClipHubSettings.siteEnabled({ ...settings, ...patch }, hostname)) patch.sitesDeny = [...settings.sitesDeny, hostname];
+    await updateSettings(patch);
   }
 
-  async function clearAll() {
-    // cleanup URLs
-    for (const [_, v] of blobCache) {
-      try { URL.revokeObjectURL(v.url); } catch (_) {}
+  async function updateSettings(patch) {
+    applySettings({ ...settings, ...patch });
+    try {
+      await sendItemOp('settings.update', { patch });
+    } catch (e) {
+      console.error('settings.update failed', e);
+      toast('Could not save settings');
     }
-    blobCache.clear();
-    state.items = [];
-    render();
-    await persistMetadata();
-    runtimeSend('blob.clear', {}).catch(() => {});
-    toast('Cleared');
   }
 
-  // Store blob in background IDB; fallback to dataUrl if background is unavailable
-  async function persistBlobToBackground(id, fileLike) {
-    const buf = await fileLike.arrayBuffer();
-    const resp = await runtimeSend('blob.put', {
-      id,
-      buffer: buf,
-      mime: fileLike.type || 'application/octet-stream',
-      name: fileLike.name || '',
-      size: fileLike.size || buf.byteLength,
-      lastModified: fileLike.lastModified || 0
-    });
-    if (!resp?.ok) throw new Error(resp?.error || 'blob_put_failed');
+  // ---------------------------
+  // Cross-tab sync
+  // ---------------------------
+  function dropCachedBlob(blobId) {
+    const cached = blobCache.get(blobId);
+    if (cached) {
+      try { URL.revokeObjectURL(cached.url); } catch (_) {}
+      blobCache.delete(blobId);
+    }
+    const thumb = thumbCache.get(blobId);
+    if (thumb) {
+      try { URL.revokeObjectURL(thumb); } catch (_) {}
+      thumbCache.delete(blobId);
+    }
   }
 
-  async function addBlob({ blob, name = '', kindHint = 'file' }) {
-    const id = uid();
-
-    // Keep filename if provided; after compression we may lose File-ness, so re-wrap.
-    const originalName = name || (blob && 'name' in blob ? blob.name : '') || '';
+  // Merge the background's list into local state, reusing item objects (and their transient UI flags).
+  async function applyRemoteItems(next) {
+    let incoming = Array.isArray(next) ? next.filter((it) => it && it.id) : [];
+    const incomingIds = new Set(incoming.map((it) => it.id));
 
-    let working = blob;
-    if (blob?.type?.startsWith('image/')) {
-      working = await maybeCompressImage(blob);
+    // An echo that reflects our op confirms it.
+    for (const [id, op] of unsynced) {
+      if (op === 'add' && incomingIds.has(id)) unsynced.delete(id);
+      else if (op === 'remove' && !incomingIds.has(id)) unsynced.delete(id);
     }
+    incoming = incoming.filter((it) => unsynced.get(it.id) !== 'remove');
+
+    const prevById = new Map(state.items.map((it) => [it.id, it]));
+    let fieldsChanged = false;
+    const merged = incoming.map((remote) => {
+      const local = prevById.get(remote.id);
+      if (!local) return { ...remote };
+      const [before] = toSerializable([local]);
+      if (JSON.stringify(before) !== JSON.stringify(remote)) {
+        fieldsChanged = true;
+        for (const k of Object.keys(before)) if (!(k in remote)) delete local[k];
+        Object.assign(local, remote);
+      }
+      return local;
+    });
 
-    const mime = working?.type || blob?.type || 'application/octet-stream';
-    const fileName =
-      originalName ||
-      (mime.startsWith('image/') ? `image.${(mime.split('/')[1] || 'png')}` : 'file');
+    // Keep optimistic / session-only items where they were until the background catches up.
+    state.items.forEach((it, i) => {
+      if (!incomingIds.has(it.id) && ['add', 'local'].includes(unsynced.get(it.id))) {
+        merged.splice(Math.min(i, merged.length), 0, it);
+      }
+    });
 
-    const fileToPersist =
-      (working instanceof File)
-        ? working
-        : new File([working], fileName, { type: mime, lastModified: Date.now() });
+    const changed = fieldsChanged ||
+      merged.length !== state.items.length ||
+      merged.some((it, i) => it !== state.items[i]);
+    if (!changed) return;
 
-    const url = URL.createObjectURL(fileToPersist);
-    blobCache.set(id, { blob: fileToPersist, url });
+    const keptBlobs = new Set(merged.flatMap(itemBlobIds));
+    for (const it of state.items) {
+      for (const blobId of itemBlobIds(it)) if (!keptBlobs.has(blobId)) dropCachedBlob(blobId);
+    }
 
-    const kind = mime.startsWith('image/') ? 'image' : kindHint;
+    state.items = merged;
+    render();
+  }
 
-    const item = {
-      id,
-      blobId: id,
-      kind,
-      createdAt: Date.now(),
-      name: fileName,
-      mime,
-      size: fileToPersist.size || 0,
-      pending: true
-    };
+  ext.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[COLLECTIONS_KEY]) applyCollections(changes[COLLECTIONS_KEY].newValue);
+    if (changes[ClipHubSettings.SETTINGS_KEY]) applySettings(changes[ClipHubSettings.SETTINGS_KEY].newValue);
+    if (changes[STORAGE_KEY]) {
+      applyRemoteItems(changes[STORAGE_KEY].newValue || []).catch((e) => console.warn('sync failed', e));
+    }
+  });
+
+  // Blob bytes may land after (or before) the metadata that references them.
+  async function onBlobChanged({ op, id } = {}) {
+    if (op === 'clear') {
+      const referenced = new Set(state.items.flatMap(itemBlobIds));
+      for (const blobId of cachedBlobIds()) {
+        if (!referenced.has(blobId)) dropCachedBlob(blobId);
+      }
+      return;
+    }
+    if (!id) return;
+
+    const owners = state.items.filter((it) => itemBlobIds(it).includes(id));
+    if (op === 'delete') {
+      if (owners.length) return; // still referenced locally; metadata sync will tell us when it goes
+      dropCachedBlob(id);
+      return;
+    }
+    // Bytes for a card that rendered before they existed: ask for its image again.
+    if (op === 'put' && owners.some(inActive) && !blobCache.has(id) && !thumbCache.has(id)) {
+      for (const img of listEl.querySelectorAll('img[data-blob-id]')) {
+        if (img.dataset.blobId === id && !img.getAttribute('src')) thumbObserver.observe(img);
+      }
+    }
+  }
+
+  ext.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'blob.changed') {
+      onBlobChanged(msg.payload).catch((e) => console.warn('blob sync failed', e));
+    } else if (msg.type === 'command') {
+      if (enabledHere) runCommand(msg.payload?.name);
+    } else if (msg.type === 'capture.selection') {
+      sendResponse(selectionSnapshot());
+    } else if (msg.type === 'blob.live') {
+      // Blob GC: bytes of items only this tab holds (metadata unsaved or not echoed yet) must stay.
+      const ids = state.items
+        .filter((it) => ['add', 'local'].includes(unsynced.get(it.id)))
+        .flatMap(itemBlobIds);
+      sendResponse({ ok: true, ids });
+    } else if (msg.type === 'ingest' && enabledHere) {
+      // Context menu captures: files arrive as buffers from the background.
+      const candidates = (msg.payload?.candidates || []).map((c) => (c.type === 'file')
+        ? { type: 'file', file: new File([c.buffer], c.name || 'file', { type: c.mime || 'application/octet-stream' }) }
+        : c);
+      enqueueIngest(() => ingestCandidates(candidates, msg.payload?.source || 'menu'));
+      sendResponse({ ok: true });
+    }
+  });
+
+  // ---------------------------
+  // Item operations
+  // ---------------------------
+  async function addItemLocal(it) {
+    it.collectionId = it.collectionId || state.active;
+    state.items.unshift(it);
+    unsynced.set(it.id, 'add');
+    render();
+    try {
+      if (!it.hash && it.kind === 'text') it.hash = await sha256(textHashInput(it.text, it.html)) || undefined;
+      const [clean] = toSerializable([it]);
+      const resp = await sendItemOp('item.add', { item: clean, index: 0 });
+      if (resp.evicted) toast(`Retention removed ${resp.evicted} old item${resp.evicted === 1 ? '' : 's'}`);
+      return true;
+    } catch (e) {
+      console.error('item.add failed', e);
+      unsynced.set(it.id, 'local');
+      toast(/quota/i.test(String(e?.message)) ? 'Storage quota hit' : 'Saved (session only)');
+      return false;
+    }
+  }
+
+  // patch values of null remove the field.
+  async function updateItemLocal(it, patch) {
+    for (const [k, v] of Object.entries(patch)) {
+      if (v === null) delete it[k];
+      else it[k] = v;
+    }
+    render();
+    if (unsynced.get(it.id) === 'local') return;
+    try {
+      await sendItemOp('item.update', { id: it.id, patch });
+    } catch (e) {
+      console.error('item.update failed', e);
+      toast(/quota/i.test(String(e?.message)) ? 'Storage quota hit' : 'Save failed');
+    }
+  }
+
+  function removeItem(id) {
+    removeItems([id]);
+  }
+
+  function removeItems(ids) {
+    const gone = new Set(ids);
+    const removed = state.items.filter((x) => gone.has(x.id));
+    if (!removed.length) return;
+
+    state.items = state.items.filter((x) => !gone.has(x.id));
+    for (const it of removed) {
+      for (const blobId of itemBlobIds(it)) {
+        if (!state.items.some((x) => itemBlobIds(x).includes(blobId))) dropCachedBlob(blobId);
+      }
+    }
+
+    render();
+
+    const remote = [];
+    for (const it of removed) {
+      if (unsynced.get(it.id) === 'local') unsynced.delete(it.id);
+      else {
+        unsynced.set(it.id, 'remove');
+        remote.push(it.id);
+      }
+    }
+    if (!remote.length) return;
+    // The background also deletes the blobs from IDB, even if this tab never cached them.
+    return sendItemOp('item.remove', { ids: remote }).catch((e) => {
+      console.warn('item.remove failed', e);
+      for (const id of remote) unsynced.delete(id);
+    });
+  }
+
+  // Moves an item next to another one; reversed, the list order is the Copy All order.
+  function moveItem(id, targetId, position = 'before') {
+    if (!id || !targetId || id === targetId) return;
+    const from = state.items.findIndex((x) => x.id === id);
+    if (from < 0) return;
+    const [it] = state.items.splice(from, 1);
+    const to = state.items.findIndex((x) => x.id === targetId);
+    if (to < 0) {
+      state.items.splice(from, 0, it);
+      return;
+    }
+    state.items.splice(position === 'after' ? to + 1 : to, 0, it);
+    render();
+    if (unsynced.get(id) === 'local' || unsynced.get(targetId) === 'local') return;
+    sendItemOp('item.move', { id, targetId, position }).catch((e) => {
+      console.warn('item.move failed', e);
+      refreshFromBackground();
+    });
+  }
+
+  // One step up/down among the visible cards of the same section.
+  function moveItemBy(id, delta) {
+    const it = itemById(id);
+    if (!it) return;
+    const visible = displayOrder(activeItems().filter(matchesFilter)).filter((x) => !!x.pinned === !!it.pinned);
+    const idx = visible.findIndex((x) => x.id === id);
+    const neighbor = visible[idx + delta];
+    if (idx < 0 || !neighbor) return;
+    moveItem(id, neighbor.id, delta < 0 ? 'before' : 'after');
+  }
+
+  function togglePin(it) {
+    if (!it) return;
+    updateItemLocal(it, { pinned: it.pinned ? null : true });
+    toast(it.pinned ? 'Pinned' : 'Unpinned');
+  }
+
+  // Keeps the top copy of each duplicated item (pinned copies are never removed).
+  function removeDuplicates() {
+    const seen = new Set();
+    const extra = [];
+    for (const it of displayOrder(activeItems())) {
+      if (!it.hash) continue;
+      if (seen.has(it.hash) && !it.pinned) extra.push(it.id);
+      seen.add(it.hash);
+    }
+    if (!extra.length) return toast('No duplicates');
+    removeItems(extra);
+    if (filter.kind === 'dupes') setFilter({ kind: 'all' });
+    toast(`Removed ${extra.length} duplicate${extra.length === 1 ? '' : 's'}`);
+  }
+
+  // Clears the active collection except its pinned items.
+  async function clearAll() {
+    const kept = state.items.filter((it) => it.pinned || !inActive(it));
+    const keptBlobs = new Set(kept.flatMap(itemBlobIds));
+    for (const blobId of cachedBlobIds()) {
+      if (!keptBlobs.has(blobId)) dropCachedBlob(blobId);
+    }
+    for (const it of state.items) {
+      if (it.pinned || !inActive(it)) continue;
+      if (unsynced.get(it.id) === 'local') unsynced.delete(it.id);
+      else unsynced.set(it.id, 'remove');
+    }
+    state.items = kept;
+    render();
+    try {
+      await sendItemOp('item.clear', { collectionId: state.active });
+      toast(activeItems().length ? 'Cleared (pinned kept)' : 'Cleared');
+    } catch (e) {
+      console.error('item.clear failed', e);
+      for (const [id, op] of unsynced) if (op === 'remove') unsynced.delete(id);
+      await refreshFromBackground();
+      toast('Clear failed');
+    }
+  }
+
+  // ---------------------------
+  // Collections
+  // ---------------------------
+  function normalizeCollections(list) {
+    const out = Array.isArray(list) ? list.filter((c) => c && c.id) : [];
+    if (!out.some((c) => c.id === DEFAULT_COLLECTION)) out.unshift({ id: DEFAULT_COLLECTION, name: 'Inbox' });
+    return out;
+  }
+
+  async function loadCollections() {
+    try {
+      const resp = await runtimeSend('collection.list', {});
+      if (resp?.ok) {
+        state.collections = normalizeCollections(resp.list);
+        state.active = resp.active || DEFAULT_COLLECTION;
+      }
+    } catch (e) {
+      console.warn('collection.list failed', e);
+    }
+    state.collections = normalizeCollections(state.collections);
+    if (!activeCollection()) state.active = DEFAULT_COLLECTION;
+    renderCollections();
+  }
+
+  // Another tab created/renamed/deleted a collection. Each tab keeps its own active collection.
+  function applyCollections(next) {
+    state.collections = normalizeCollections(next?.list);
+    if (!activeCollection()) {
+      switchCollection(DEFAULT_COLLECTION, { remember: false });
+      return;
+    }
+    renderCollections();
+  }
+
+  function renderCollections() {
+    const counts = new Map();
+    for (const it of state.items) counts.set(collectionOf(it), (counts.get(collectionOf(it)) || 0) + 1);
+
+    collectionEl.textContent = '';
+    for (const c of state.collections) {
+      collectionEl.appendChild(new Option(`${c.name} (${counts.get(c.id) || 0})`, c.id));
+    }
+    const sep = new Option('──────────', '');
+    sep.disabled = true;
+    collectionEl.appendChild(sep);
+    collectionEl.appendChild(new Option('＋ New collection…', '__new'));
+    collectionEl.appendChild(new Option('Rename current…', '__rename'));
+    const del = new Option('Delete current…', '__delete');
+    del.disabled = state.active === DEFAULT_COLLECTION;
+    collectionEl.appendChild(del);
+    collectionEl.value = state.active;
+
+    const name = activeCollection()?.name || 'Inbox';
+    $('btn-copy-all').title = withShortcut(`Copy All in "${name}"`, 'copy-all');
+    $('btn-clear').title = `Clear "${name}" except pinned items`;
+  }
+
+  async function switchCollection(id, { remember = true } = {}) {
+    if (!state.collections.some((c) => c.id === id)) return;
+    state.active = id;
+    focusedId = null;
+    selection.clear();
+    renderCollections();
+    render();
+    if (remember) runtimeSend('collection.setActive', { id }).catch(() => {});
+  }
+
+  async function createCollection(name) {
+    const clean = String(name || '').trim();
+    if (!clean) return null;
+    const collection = { id: uid(), name: clean.slice(0, 80) };
+    state.collections.push(collection);
+    renderCollections();
+    try {
+      await runtimeSend('collection.create', collection);
+    } catch (e) {
+      console.error('collection.create failed', e);
+      toast('Could not create collection');
+    }
+    return collection;
+  }
+
+  async function promptNewCollection() {
+    const c = await createCollection(window.prompt('New collection name', ''));
+    if (c) await switchCollection(c.id);
+    return c;
+  }
+
+  async function renameActiveCollection() {
+    const current = activeCollection();
+    const name = (window.prompt('Rename collection', current?.name || '') || '').trim();
+    if (!current || !name) return renderCollections();
+    current.name = name.slice(0, 80);
+    renderCollections();
+    runtimeSend('collection.rename', { id: current.id, name: current.name }).catch(() => {});
+  }
+
+  async function deleteActiveCollection() {
+    const current = activeCollection();
+    if (!current || current.id === DEFAULT_COLLECTION) return renderCollections();
+    const n = activeItems().length;
+    if (!window.confirm(`Delete collection "${current.name}" and its ${n} item${n === 1 ? '' : 's'}?`)) {
+      return renderCollections();
+    }
+    try {
+      await sendItemOp('collection.remove', { id: current.id });
+      toast('Collection deleted');
+    } catch (e) {
+      console.error('collection.remove failed', e);
+      toast('Delete failed');
+    }
+  }
+
+  function moveItemsTo(items, targetId) {
+    const target = state.collections.find((c) => c.id === targetId);
+    if (!target || !items.length) return;
+    for (const it of items) {
+      if (collectionOf(it) !== targetId) updateItemLocal(it, { collectionId: targetId });
+    }
+    toast(`Moved to ${target.name}`);
+  }
+
+  // Copies share the original's blobId: the background only drops bytes once no item references them.
+  function copyItemsTo(items, targetId) {
+    const target = state.collections.find((c) => c.id === targetId);
+    if (!target || !items.length) return;
+    for (const it of [...items].reverse()) {
+      const [clean] = toSerializable([it]);
+      addItemLocal({ ...clean, id: uid(), collectionId: targetId, createdAt: Date.now() });
+    }
+    toast(`Copied to ${target.name}`);
+  }
+
+  // Menu entries to move/copy the given items into another collection.
+  function collectionMenuEntries(items) {
+    const others = state.collections.filter((c) => c.id !== state.active);
+    const entries = [];
+    for (const c of others) entries.push({ label: `Move to ${c.name}`, run: () => moveItemsTo(items, c.id) });
+    if (others.length) entries.push({ separator: true });
+    for (const c of others) entries.push({ label: `Copy to ${c.name}`, run: () => copyItemsTo(items, c.id) });
+    if (others.length) entries.push({ separator: true });
+    entries.push({
+      label: 'Move to new collection…',
+      run: async () => {
+        const c = await createCollection(window.prompt('New collection name', ''));
+        if (c) moveItemsTo(items, c.id);
+      }
+    });
+    return entries;
+  }
+
+  // ---------------------------
+  // Multi-select + bulk actions
+  // ---------------------------
+  /** selected item ids (this tab only) */
+  const selection = new Set();
+  let selectionAnchor = null;
+
+  // Selected items of the active collection, in display order.
+  const selectedItems = () => displayOrder(activeItems()).filter((it) => selection.has(it.id));
+
+  function setSelected(id, on) {
+    if (on) selection.add(id);
+    else selection.delete(id);
+  }
+
+  // Shift-click selects the visible range between the anchor and the clicked card.
+  function toggleSelect(id, { range = false } = {}) {
+    if (range && selectionAnchor && selectionAnchor !== id) {
+      const ids = visibleItems.map((it) => it.id);
+      const a = ids.indexOf(selectionAnchor);
+      const b = ids.indexOf(id);
+      if (a >= 0 && b >= 0) {
+        const on = !selection.has(id) || selection.has(selectionAnchor);
+        for (const x of ids.slice(Math.min(a, b), Math.max(a, b) + 1)) setSelected(x, on);
+        render();
+        return;
+      }
+    }
+    setSelected(id, !selection.has(id));
+    selectionAnchor = id;
+    render();
+  }
+
+  function selectAllVisible() {
+    for (const it of visibleItems) selection.add(it.id);
+    render();
+  }
+
+  function clearSelection() {
+    if (!selection.size) return false;
+    selection.clear();
+    selectionAnchor = null;
+    render();
+    return true;
+  }
+
+  function renderBulkBar() {
+    const live = new Set(activeItems().map((it) => it.id));
+    for (const id of selection) if (!live.has(id)) selection.delete(id);
+
+    bulkEl.hidden = !selection.size;
+    $('bulk-count').textContent = `${selection.size} selected`;
+    const texts = selectedItems().filter((it) => it.kind === 'text').length;
+    bulkEl.querySelector('[data-bulk="merge"]').disabled = texts < 2;
+  }
+
+  function deleteSelected() {
+    const ids = [...selection];
+    selection.clear();
+    removeItems(ids);
+    toast(`Deleted ${ids.length} item${ids.length === 1 ? '' : 's'}`);
+  }
+
+  // Text items are joined in Copy All order (bottom first) into one new item; the originals go away.
+  function mergeSelected() {
+    const texts = selectedItems().filter((it) => it.kind === 'text').reverse();
+    if (texts.length < 2) return toast('Select at least 2 text items');
+
+    const anyHtml = texts.some((it) => it.html);
+    addItemLocal({
+      id: uid(),
+      kind: 'text',
+      createdAt: Date.now(),
+      text: texts.map((it) => it.text || htmlToText(it.html || '')).join('\n\n'),
+      html: anyHtml
+        ? texts.map((it) => it.html || `<p>${escapeHtml(it.text || '').replaceAll('\n', '<br>')}</p>`).join('\n')
+        : ''
+    });
+    selection.clear();
+    removeItems(texts.map((it) => it.id));
+    toast(`Merged ${texts.length} items`);
+  }
+
+  function fileNameFor(it, i) {
+    if (it.kind !== 'text') return it.name || `file-${i + 1}`;
+    const stamp = new Date(it.createdAt || Date.now()).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return (it.text || !it.html) ? `clip-${stamp}.txt` : `clip-${stamp}.html`;
+  }
+
+  function saveBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    shadow.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  async function downloadItems(items) {
+    let n = 0;
+    for (const [i, it] of items.entries()) {
+      const blob = (it.kind === 'text')
+        ? new Blob([it.text || it.html || ''], { type: (it.text || !it.html) ? 'text/plain' : 'text/html' })
+        : await itemBlob(it);
+      if (!blob) continue;
+      saveBlob(blob, fileNameFor(it, i));
+      n++;
+      // Browsers drop downloads triggered in a tight loop.
+      await new Promise((r) => setTimeout(r, 200));
+    }
+    toast(n ? `Downloading ${n} file${n === 1 ? '' : 's'}` : 'Nothing to download');
+  }
+
+  function runBulk(action, anchor) {
+    const items = selectedItems();
+    if (!items.length) return;
+    switch (action) {
+      case 'copy': return copyItems(items);
+      case 'move': return openMenu(anchor || bulkEl, collectionMenuEntries(items));
+      case 'download': return downloadItems(items);
+      case 'merge': return mergeSelected();
+      case 'delete': return deleteSelected();
+      case 'none': return clearSelection();
+    }
+  }
+
+  // ---------------------------
+  // Export / import (zip archive built and unpacked by background.js)
+  // ---------------------------
+  const importFileEl = $('import-file');
+  let importMode = 'merge';
+
+  async function exportArchive(collectionId) {
+    toast('Preparing export…');
+    const resp = await runtimeSend('hub.export', collectionId ? { collectionId } : {});
+    if (!resp?.ok) return toast('Export failed');
+    const scope = collectionId ? (activeCollection()?.name || 'collection') : 'hub';
+    const day = new Date().toISOString().slice(0, 10);
+    saveBlob(new Blob([resp.buffer], { type: 'application/zip' }), `clipboard-${scope}-${day}.zip`.replace(/[\\/:*?"<>|\s]+/g, '-'));
+    toast(`Exported ${resp.count} item${resp.count === 1 ? '' : 's'}`);
+  }
+
+  function chooseImport(mode) {
+    importMode = mode;
+    importFileEl.value = '';
+    importFileEl.click();
+  }
+
+  async function importArchive(file) {
+    if (importMode === 'replace' && !window.confirm('Replace every collection and item (pinned ones too) with the archive?')) return;
+    toast('Importing…');
+    const resp = await runtimeSend('hub.import', { buffer: await file.arrayBuffer(), mode: importMode });
+    if (!resp?.ok) {
+      console.error('hub.import failed', resp?.error);
+      return toast(resp?.error === 'bad_manifest' || resp?.error === 'missing_manifest' || resp?.error === 'not_a_zip'
+        ? 'Not a Clipboard Hub archive'
+        : 'Import failed');
+    }
+    toast(`Imported ${resp.count} item${resp.count === 1 ? '' : 's'}`);
+  }
+
+  importFileEl.addEventListener('change', () => {
+    const file = importFileEl.files?.[0];
+    if (file) importArchive(file);
+  });
+
+  // ---------------------------
+  // Storage dashboard (sizes come from the background's storage.stats)
+  // ---------------------------
+  const STORAGE_ROWS = 100;
+  let storageReturnFocus = null;
+
+  // Animated GIFs would lose their frames and SVGs are already tiny.
+  // Items that kept their original already have a compressed rendition.
+  const canRecompress = (it) => it.kind === 'image' && !!it.blobId && !it.altBlobId && !/gif|svg/.test(it.mime || '');
+
+  async function renderStorage() {
+    const resp = await runtimeSend('storage.stats');
+    if (storageEl.hidden) return;
+    const summaryEl = $('storage-summary');
+    const rowsEl = $('storage-list');
+    summaryEl.textContent = '';
+    rowsEl.textContent = '';
+    if (!resp?.ok) {
+      summaryEl.textContent = 'Storage usage is unavailable.';
+      return;
+    }
+
+    const facts = [
+      ['Files (IndexedDB)', `${formatBytes(resp.idbBytes)} · ${resp.blobCount} file${resp.blobCount === 1 ? '' : 's'}`],
+      ['Thumbnails', formatBytes(resp.thumbBytes || 0)],
+      ['Metadata (storage.local)', formatBytes(resp.localBytes)]
+    ];
+    if (resp.quota) facts.push(['Browser quota', `${formatBytes(resp.usage || 0)} of ${formatBytes(resp.quota)}`]);
+    if (resp.gc?.at) facts.push(['Last cleanup', `${timeAgo(resp.gc.at)} · ${formatBytes(resp.gc.bytes)} reclaimed`]);
+    for (const [label, value] of facts) {
+      const k = document.createElement('span');
+      k.textContent = label;
+      const v = document.createElement('b');
+      v.textContent = value;
+      summaryEl.append(k, v);
+    }
+    if (resp.quota) {
+      const meter = document.createElement('div');
+      meter.className = 'meter';
+      meter.innerHTML = `<div style="width:${clamp(100 * (resp.usage || 0) / resp.quota, 0, 100).toFixed(1)}%"></div>`;
+      summaryEl.appendChild(meter);
+    }
+
+    const sizes = new Map(resp.items.map((x) => [x.id, x]));
+    const heavy = state.items
+      .filter((it) => sizes.has(it.id))
+      .sort((a, b) => sizes.get(b.id).bytes - sizes.get(a.id).bytes)
+      .slice(0, STORAGE_ROWS);
+    for (const it of heavy) {
+      const { bytes, shared, originalBytes } = sizes.get(it.id);
+      const row = document.createElement('div');
+      row.className = 'storage-row';
+      row.dataset.id = it.id;
+      const where = state.collections.find((c) => c.id === collectionOf(it))?.name || '';
+      row.innerHTML = `
+        <span class="label"></span>
+        <span class="where"></span>
+        <span class="bytes">${escapeHtml(formatBytes(bytes))}</span>
+        ${canRecompress(it) ? '<button class="chip" data-action="recompress" title="Re-encode with the current image settings">Recompress</button>' : ''}
+        ${originalBytes ? `<button class="chip" data-action="drop-original" title="Delete the kept original (${escapeHtml(formatBytes(originalBytes))})">Drop original</button>` : ''}
+        <button class="chip danger" data-action="delete" title="Delete item">Delete</button>
+      `;
+      row.querySelector('.label').textContent = itemLabel(it);
+      row.querySelector('.where').textContent = shared > 1 ? `${where} · shared ×${shared}` : where;
+      rowsEl.appendChild(row);
+    }
+    if (!heavy.length) rowsEl.innerHTML = '<div class="storage-row"><span class="where">No stored items</span></div>';
+  }
+
+  function openStorage() {
+    closePalette(false);
+    storageReturnFocus = shadow.activeElement;
+    storageEl.hidden = false;
+    $('storage-summary').textContent = 'Measuring…';
+    $('storage-list').textContent = '';
+    $('btn-storage-close').focus();
+    renderStorage();
+  }
+
+  function closeStorage(restoreFocus = true) {
+    if (storageEl.hidden) return false;
+    storageEl.hidden = true;
+    if (restoreFocus) (storageReturnFocus || trap).focus?.();
+    storageReturnFocus = null;
+    return true;
+  }
+
+  // Re-encodes an image under a new blobId (so other tabs refetch it) and repoints every item sharing it.
+  async function recompressItem(it) {
+    const blob = await itemBlob(it);
+    if (!blob) return toast('Image data not found');
+    const out = await maybeCompressImage(blob, { force: true });
+    if (out === blob) return toast('Already as small as it gets');
+
+    const oldId = it.blobId;
+    const blobId = uid();
+    const name = `${(it.name || 'image').replace(/\.[^.]+$/, '')}.${out.type.split('/')[1] || 'webp'}`;
+    try {
+      await persistBlobToBackground(blobId, new File([out], name, { type: out.type, lastModified: Date.now() }));
+    } catch (e) {
+      console.error('recompress failed', e);
+      return toast('Recompress failed');
+    }
+    blobCache.set(blobId, { blob: out, url: URL.createObjectURL(out) });
+    for (const owner of state.items.filter((x) => x.blobId === oldId)) {
+      await updateItemLocal(owner, { blobId, mime: out.type, size: out.size, name });
+    }
+    // The old bytes go once no item references them (item.update in the background), so an owner
+    // whose update failed still has its image.
+    toast(`Saved ${formatBytes(blob.size - out.size)}`);
+  }
+
+  async function reclaimStorage() {
+    const resp = await runtimeSend('blob.gc');
+    if (!resp?.ok) return toast('Cleanup failed');
+    toast(resp.removed ? `Reclaimed ${formatBytes(resp.bytes)} from ${resp.removed} unused file${resp.removed === 1 ? '' : 's'}` : 'Nothing to reclaim');
+    if (!storageEl.hidden) renderStorage();
+  }
+
+  storageEl.addEventListener('click', async (e) => {
+    const b = e.target.closest('[data-action]');
+    const it = b && itemById(b.closest('.storage-row')?.dataset.id);
+    if (!it) return;
+    b.disabled = true;
+    if (b.dataset.action === 'recompress') await recompressItem(it);
+    else if (b.dataset.action === 'drop-original') await dropOriginal(it);
+    else if (b.dataset.action === 'delete') await removeItems([it.id]);
+    renderStorage();
+  });
+  $('btn-gc').onclick = () => reclaimStorage();
+  $('btn-storage-close').onclick = () => closeStorage();
+
+  // ---------------------------
+  // Header ⋯ menu
+  // ---------------------------
+  function openOptions() {
+    runtimeSend('options.open')
+      .then((resp) => {
+        if (!resp?.ok) toast('Could not open settings');
+      })
+      .catch(() => toast('Could not open settings'));
+  }
+
+  function moreMenuEntries() {
+    return [
+      { label: 'Export hub (.zip)', run: () => exportArchive() },
+      { label: `Export "${activeCollection()?.name || 'collection'}" (.zip)`, run: () => exportArchive(state.active) },
+      { separator: true },
+      { label: 'Import archive (merge)…', run: () => chooseImport('merge') },
+      { label: 'Import archive (replace all)…', run: () => chooseImport('replace') },
+      { separator: true },
+      { label: `${settings.recordCopies ? '✓ ' : ''}Record copies everywhere`, run: () => toggleRecording() },
+      ...(location.hostname
+        ? [{ label: `${recordingHere() ? '✓ ' : ''}Record copies on ${location.hostname}`, run: () => toggleRecording({ site: true }) }]
+        : []),
+      { separator: true },
+      { label: 'Show duplicates', run: () => setFilter({ kind: 'dupes' }) },
+      { label: 'Remove duplicate copies', run: () => removeDuplicates() },
+      { label: 'Storage usage…', run: () => openStorage() },
+      { label: 'Reclaim unused storage', run: () => reclaimStorage() },
+      { label: 'Settings…', run: () => openOptions() },
+      ...(location.hostname ? [{ label: `Turn off on ${location.hostname}…`, run: () => disableHere() }] : [])
+    ];
+  }
+
+  // Store blob in background IDB; fallback to dataUrl if background is unavailable
+  async function persistBlobToBackground(id, fileLike) {
+    const buf = await fileLike.arrayBuffer();
+    const resp = await runtimeSend('blob.put', {
+      id,
+      buffer: buf,
+      mime: fileLike.type || 'application/octet-stream',
+      name: fileLike.name || '',
+      size: fileLike.size || buf.byteLength,
+      lastModified: fileLike.lastModified || 0
+    });
+    if (!resp?.ok) throw new Error(resp?.error || 'blob_put_failed');
+  }
+
+  async function addBlob({ blob, name = '', kindHint = 'file' }) {
+    const id = uid();
+
+    // Hash the bytes as received, so a re-paste matches even though we store a compressed copy.
+    const hash = await sha256(blob);
+    if (bumpDuplicate(hash)) return 'bumped';
+
+    // Keep filename if provided; after compression we may lose File-ness, so re-wrap.
+    const originalName = name || (blob && 'name' in blob ? blob.name : '') || '';
+
+    let working = blob;
+    if (blob?.type?.startsWith('image/')) {
+      working = await maybeCompressImage(blob, { name: originalName });
+    }
+
+    const mime = working?.type || blob?.type || 'application/octet-stream';
+    const fileName =
+      originalName ||
+      (mime.startsWith('image/') ? `image.${(mime.split('/')[1] || 'png')}` : 'file');
+
+    const fileToPersist =
+      (working instanceof File)
+        ? working
+        : new File([working], fileName, { type: mime, lastModified: Date.now() });
+
+    const url = URL.createObjectURL(fileToPersist);
+    blobCache.set(id, { blob: fileToPersist, url });
+
+    const kind = mime.startsWith('image/') ? 'image' : kindHint;
+
+    // settings.keepOriginals: the uncompressed bytes are stored too, as the item's other rendition.
+    const original = (settings.keepOriginals && working !== blob)
+      ? ((blob instanceof File && blob.name) ? blob : new File([blob], originalName || `image.${(blob.type.split('/')[1] || 'png')}`, { type: blob.type, lastModified: Date.now() }))
+      : null;
+
+    const item = {
+      id,
+      blobId: id,
+      kind,
+      createdAt: Date.now(),
+      name: fileName,
+      mime,
+      size: fileToPersist.size || 0,
+      hash: hash || undefined,
+      pending: true
+    };
+    if (original) {
+      Object.assign(item, {
+        altBlobId: uid(),
+        altMime: original.type,
+        altSize: original.size,
+        altName: original.name,
+        rendition: 'compressed'
+      });
+    }
+
+    addItemLocal(item);
+
+    try {
+      await persistBlobToBackground(id, fileToPersist);
+      item.pending = false;
+      render();
+      if (original) {
+        await persistBlobToBackground(item.altBlobId, original).catch((e) => {
+          console.warn('keeping the original failed', e);
+          return updateItemLocal(item, { altBlobId: null, altMime: null, altSize: null, altName: null, rendition: null });
+        });
+      }
+    } catch (e) {
+      console.error('persist blob failed', e);
+      item.pending = false;
+      item.error = 'persist_failed';
+
+      // Fallback: store as dataURL in metadata (quota-limited)
+      try {
+        const dataUrl = await blobToDataUrl(fileToPersist);
+        // No original without a stored compressed copy to switch from.
+        const noAlt = original ? { altBlobId: null, altMime: null, altSize: null, altName: null, rendition: null } : {};
+        await updateItemLocal(item, { dataUrl, ...noAlt });
+        toast('Saved (fallback)');
+      } catch (_) {
+        toast('Saved (session only)');
+      }
+    }
+    return 'added';
+  }
+
+  // Returns 'added', 'bumped' (same content already in the collection) or '' (nothing to add).
+  async function addText({ text, html }) {
+    const t = (text || '').trimEnd();
+    // Stored with the permissive profile so switching htmlProfile later still has the formatting.
+    const h = html ? sanitizeHtml(html, 'preserve').trimEnd() : '';
+    if (!t && !h) return '';
+
+    const hash = await sha256(textHashInput(t, h));
+    if (bumpDuplicate(hash)) return 'bumped';
+
+    addItemLocal({
+      id: uid(),
+      kind: 'text',
+      createdAt: Date.now(),
+      text: t || '',
+      html: h || '',
+      hash: hash || undefined
+    });
+    return 'added';
+  }
+
+  // Swaps the rendition in use (blobId, mime, size, name) with the stored alternative.
+  async function switchRendition(it) {
+    if (!it.altBlobId) return;
+    const patch = {
+      blobId: it.altBlobId,
+      mime: it.altMime || it.mime,
+      size: it.altSize || 0,
+      name: it.altName || it.name,
+      altBlobId: it.blobId,
+      altMime: it.mime,
+      altSize: it.size || 0,
+      altName: it.name,
+      rendition: it.rendition === 'original' ? 'compressed' : 'original'
+    };
+    await updateItemLocal(it, patch);
+    toast(`Using the ${patch.rendition} image`);
+  }
+
+  // Stops keeping the original of a compressed image; the background deletes its bytes.
+  function dropOriginal(it) {
+    if (it.rendition !== 'compressed' || !it.altBlobId) return;
+    return updateItemLocal(it, { altBlobId: null, altMime: null, altSize: null, altName: null, rendition: null });
+  }
+
+  // Re-ingesting content the active collection already holds moves that item to the top of its
+  // section (and makes it the most recent) instead of adding a copy.
+  function bumpDuplicate(hash) {
+    const dup = hash && activeItems().find((x) => x.hash === hash);
+    if (!dup) return false;
+    const first = displayOrder(activeItems()).find((x) => !!x.pinned === !!dup.pinned);
+    if (first && first.id !== dup.id) moveItem(dup.id, first.id, 'before');
+    updateItemLocal(dup, { createdAt: Date.now() });
+    return true;
+  }
+
+  // ---------------------------
+  // Ingest (paste) - robust de-dupe & queue
+  // ---------------------------
+  let lastIngest = { sig: '', at: 0 };
+  let ingestQueue = Promise.resolve();
+
+  function enqueueIngest(fn) {
+    ingestQueue = ingestQueue.then(fn).catch((e) => console.error('ingest error', e));
+    return ingestQueue;
+  }
+
+  async function ingestCandidates(candidates, sourceLabel) {
+    // candidates: [{type:'text', plain?, html?} | {type:'file', file:File}]
+    // Build signature (reads small parts only; avoids heavy work)
+    const sigParts = [];
+    for (const c of candidates) {
+      if (c.type === 'file') {
+        const f = c.file;
+        sigParts.push(`F:${f.type}|${f.size}|${f.name || ''}`);
+      } else {
+        const p = (c.plain || '').slice(0, 256);
+        const h = (c.html || '').slice(0, 256);
+        sigParts.push(`T:${hash32(p)}:${hash32(h)}:${(c.plain || '').length}:${(c.html || '').length}`);
+      }
+    }
+    const sig = hash32(sigParts.join('||'));
+    const now = Date.now();
+    if (sig === lastIngest.sig && (now - lastIngest.at) < settings.dedupWindowMs) {
+      return; // drop duplicate batch
+    }
+    lastIngest = { sig, at: now };
+
+    const counts = { added: 0, bumped: 0 };
+    for (const c of candidates) {
+      let result = '';
+      if (c.type === 'file') {
+        const f = c.file;
+        if (!f) continue;
+        result = await addBlob({ blob: f, name: f.name || '', kindHint: 'file' });
+      } else {
+        result = await addText({ text: c.plain || '', html: c.html || '' });
+      }
+      if (result) counts[result]++;
+    }
+
+    // Recorded copies only show up in the badge; a toast on every page copy would be noise.
+    if (sourceLabel === 'copy') return;
+    const { added, bumped } = counts;
+    if (added && bumped) toast(`Added ${added}, moved ${bumped} existing to top`);
+    else if (added) toast(`Added ${added} item${added > 1 ? 's' : ''}`);
+    else if (bumped) toast(bumped > 1 ? `${bumped} items already saved — moved to top` : 'Already saved — moved to top');
+    else if (sourceLabel) toast('Nothing to add');
+  }
+
+  // The page's current selection as text + HTML, with relative links/images made absolute.
+  function selectionSnapshot() {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || !sel.rangeCount) return { text: '', html: '' };
+    const box = document.createElement('div');
+    for (let i = 0; i < sel.rangeCount; i++) box.appendChild(sel.getRangeAt(i).cloneContents());
+    for (const el of box.querySelectorAll('[href], [src]')) {
+      for (const attr of ['href', 'src']) {
+        const v = el.getAttribute(attr);
+        if (!v) continue;
+        try { el.setAttribute(attr, new URL(v, document.baseURI).href); } catch (_) {}
+      }
+    }
+    return { text: sel.toString(), html: box.innerHTML };
+  }
+
+  async function ingestFromPasteEvent(e) {
+    const dt = e.clipboardData;
+    if (!dt || !dt.items || !dt.items.length) return;
+
+    const raw = Array.from(dt.items);
+
+    // Convert dt.items to ordered candidates:
+    // - Merge adjacent text/plain + text/html into a single text candidate (prefer to keep both).
+    const candidates = [];
+    let pendingText = { plain: '', html: '' };
+
+    for (const it of raw) {
+      if (it.kind === 'file') {
+        if (pendingText.plain || pendingText.html) {
+          candidates.push({ type: 'text', plain: pendingText.plain, html: pendingText.html });
+          pendingText = { plain: '', html: '' };
+        }
+        const file = it.getAsFile();
+        if (file) candidates.push({ type: 'file', file });
+        continue;
+      }
+
+      if (it.kind === 'string') {
+        if (it.type === 'text/plain') pendingText.plain = (await readDTString(it)) || pendingText.plain;
+        else if (it.type === 'text/html') pendingText.html = (await readDTString(it)) || pendingText.html;
+        else if (it.type === 'text/uri-list') {
+          const url = (await readDTString(it)).trim();
+          if (url) pendingText.plain = pendingText.plain ? (pendingText.plain + '\n' + url) : url;
+        }
+      }
+    }
+
+    if (pendingText.plain || pendingText.html) candidates.push({ type: 'text', plain: pendingText.plain, html: pendingText.html });
+
+    await ingestCandidates(candidates, 'paste');
+  }
+
+  async function smartPasteFromClipboardAPI() {
+    // Requires user gesture (button click).
+    // We intentionally extract *all* types per ClipboardItem to support mixed content.
+    const items = await navigator.clipboard.read();
+
+    /** @type {Array<any>} */
+    const candidates = [];
+
+    for (const clipItem of items) {
+      const types = Array.isArray(clipItem.types) ? clipItem.types : [];
+
+      // text
+      let html = '';
+      let plain = '';
+      if (types.includes('text/html')) {
+        try {
+          const b = await clipItem.getType('text/html');
+          html = await b.text();
+        } catch (_) {}
+      }
+      if (types.includes('text/plain')) {
+        try {
+          const b = await clipItem.getType('text/plain');
+          plain = await b.text();
+        } catch (_) {}
+      }
+      if (plain || html) {
+        candidates.push({ type: 'text', plain, html });
+      }
+
+      // images + other binary types
+      for (const t of types) {
+        if (t.startsWith('image/')) {
+          try {
+            const blob = await clipItem.getType(t);
+            const extGuess = t.split('/')[1] || 'png';
+            candidates.push({ type: 'file', file: new File([blob], `clipboard-image.${extGuess}`, { type: t }) });
+          } catch (_) {}
+          continue;
+        }
+        if (t === 'text/plain' || t === 'text/html') continue;
+
+        // best-effort: treat other binary formats as file
+        if (!t.startsWith('text/')) {
+          try {
+            const blob = await clipItem.getType(t);
+            const extGuess = (t.split('/')[1] || 'bin').replace(/[^a-z0-9]+/gi, '');
+            candidates.push({ type: 'file', file: new File([blob], `clipboard.${extGuess || 'bin'}`, { type: t }) });
+          } catch (_) {}
+        }
+      }
+    }
+
+    await ingestCandidates(candidates, 'smart');
+  }
+
+  // ---------------------------
+  // Copy recording (opt-in: settings.recordCopies plus per-site overrides)
+  // ---------------------------
+  const recordingHere = () => enabledHere && ClipHubSettings.recordsCopies(settings, location.hostname);
+
+  // What a copy/cut takes from the page: the focused field's selection, else the document selection.
+  function selectedContent(e) {
+    const t = e.target;
+    if (t && ['INPUT', 'TEXTAREA'].includes(t.tagName)) {
+      if (t.type === 'password' || typeof t.selectionStart !== 'number') return null;
+      return { plain: t.value.slice(t.selectionStart, t.selectionEnd), html: '' };
+    }
+    const { text, html } = selectionSnapshot();
+    return { plain: text, html };
+  }
+
+  const MAX_COPIED_IMAGES = 10;
+
+  // An image the copied markup shows, as a File: data: URLs locally, http(s) through the background.
+  async function fetchImageFile(src) {
+    try {
+      if (/^(data|blob):/i.test(src)) {
+        const blob = await (await fetch(src)).blob();
+        if (!blob.type.startsWith('image/')) return null;
+        return new File([blob], `image.${blob.type.split('/')[1].replace(/\+.*$/, '')}`, { type: blob.type, lastModified: Date.now() });
+      }
+      const resp = await runtimeSend('image.fetch', { url: src });
+      if (!resp?.ok || !resp.buffer) return null;
+      return new File([resp.buffer], resp.name, { type: resp.mime, lastModified: Date.now() });
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // <img> sources in copied HTML (selectionSnapshot() already made them absolute).
+  async function copiedImages(html) {
+    if (!html || !/<img\b/i.test(html)) return [];
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const srcs = [...new Set([...doc.images].map((img) => img.getAttribute('src')).filter(Boolean))];
+    const files = [];
+    for (const src of srcs.slice(0, MAX_COPIED_IMAGES)) {
+      const file = await fetchImageFile(src);
+      if (file) files.push(file);
+    }
+    return files;
+  }
+
+  function recordCopy(content) {
+    const plain = content?.plain || '';
+    const html = content?.html || '';
+    if (!plain.trim() && !html) return;
+    // Copying what already sits on top of the hub (e.g. re-copying a card's text) is not news.
+    const top = activeItems()[0];
+    if (top?.kind === 'text' && top.text === plain.trimEnd() && (top.html || '') === html.trimEnd()) return;
+    enqueueIngest(async () => {
+      // Images in the selection become image items, the way a paste of them would.
+      const candidates = (await copiedImages(html)).map((file) => ({ type: 'file', file }));
+      // A selection of nothing but images is fully covered by those; images that could not be
+      // fetched stay in the text item's HTML.
+      if (plain.trim() || !candidates.length) candidates.unshift({ type: 'text', plain, html });
+      return ingestCandidates(candidates, 'copy');
+    });
+  }
+
+  // Capture phase snapshots the selection before a cut removes it; the bubble phase then sees any
+  // setData() the page's own copy handler did. Pages that stop propagation get the snapshot.
+  let pendingCopy = null;
+  for (const type of ['copy', 'cut']) {
+    window.addEventListener(type, (e) => {
+      const path = (typeof e.composedPath === 'function') ? e.composedPath() : [];
+      if (!recordingHere() || path.includes(host)) return;
+      const pending = { event: e, snapshot: selectedContent(e) };
+      pendingCopy = pending;
+      setTimeout(() => {
+        if (pendingCopy !== pending) return;
+        pendingCopy = null;
+        recordCopy(pending.snapshot);
+      }, 0);
+    }, true);
+
+    window.addEventListener(type, (e) => {
+      if (pendingCopy?.event !== e) return;
+      const { snapshot } = pendingCopy;
+      pendingCopy = null;
+      const plain = e.defaultPrevented ? (e.clipboardData?.getData('text/plain') || '') : '';
+      const html = e.defaultPrevented ? (e.clipboardData?.getData('text/html') || '') : '';
+      recordCopy((plain || html) ? { plain, html } : snapshot);
+    });
+  }
+
+  async function toggleRecording({ site = false } = {}) {
+    if (!site) {
+      await updateSettings({ recordCopies: !settings.recordCopies });
+      return toast(`Recording copies ${settings.recordCopies ? 'everywhere' : 'turned off'}`);
+    }
+    const hostname = location.hostname;
+    const want = !recordingHere();
+    const patch = {
+      recordCopiesOn: settings.recordCopiesOn.filter((h) => h !== hostname),
+      recordCopiesOff: settings.recordCopiesOff.filter((h) => h !== hostname)
+    };
+    // Only pin the site when the remaining patterns / global switch disagree.
+    if (ClipHubSettings.recordsCopies({ ...settings, ...patch }, hostname) !== want) {
+      (want ? patch.recordCopiesOn : patch.recordCopiesOff).push(hostname);
+    }
+    await updateSettings(patch);
+    toast(`${recordingHere() ? 'Recording' : 'Not recording'} copies on ${hostname}`);
+  }
+
+  // ---------------------------
+  // Copy logic
+  // ---------------------------
+  // Bytes of a binary item: cached or fetched from the background, else the dataUrl fallback stored in metadata.
+  async function itemBlob(it) {
+    const blob = it.blobId ? await fetchBlob(it.blobId, it.mime) : null;
+    if (blob) return blob;
+    if (it.dataUrl) {
+      try { return await (await fetch(it.dataUrl)).blob(); } catch (_) {}
+    }
+    return null;
+  }
+
+  async function copySingle(it) {
+    if (!it) return;
+
+    if (it.kind === 'text') {
+      const s = it.text || '';
+      await navigator.clipboard.writeText(s);
+      toast('Copied text');
+      return;
+    }
+
+    // clipboard.write() is called right away with promised data, so fetching and transcoding the bytes
+    // cannot outlast the user activation the write needs.
+    const bytes = itemBlob(it).then((blob) => blob || Promise.reject(new Error('missing_blob')));
+    const mime = it.mime || (it.kind === 'image' ? 'image/png' : 'application/octet-stream');
+    try {
+      if (mime.startsWith('image/')) await writeImageToClipboard(bytes, mime);
+      else await navigator.clipboard.write([new ClipboardItem({ [mime]: bytes })]);
+      toast(it.kind === 'image' ? 'Copied image' : 'Copied file');
+    } catch (e) {
+      const blob = await bytes.catch(() => null);
+      if (!blob) return toast('Missing blob');
+      // Some platforms disallow arbitrary file mime on clipboard
+      try {
+        const dataUrl = await blobToDataUrl(blob);
+        await navigator.clipboard.writeText(dataUrl);
+        toast('Copied as data URL');
+      } catch (_) {
+        toast('Copy blocked');
+      }
+    }
+  }
+
+  // PNG always; the stored type as well where the platform says it can take it (ClipboardItem.supports),
+  // so apps that understand e.g. SVG get the original. Retries PNG alone if the pair is refused.
+  // bytes is a promise of the image; ClipboardItem waits for it and the PNG.
+  async function writeImageToClipboard(bytes, mime) {
+    const png = bytes.then(async (blob) => (await toClipboardPng(blob)) || Promise.reject(new Error('undecodable_image')));
+    const types = { 'image/png': png };
+    if (mime !== 'image/png' && ClipboardItem.supports?.(mime)) types[mime] = bytes;
+    try {
+      await navigator.clipboard.write([new ClipboardItem(types)]);
+    } catch (e) {
+      if (Object.keys(types).length === 1) throw e;
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+    }
+  }
+
+  // Copies the active collection.
+  function copyAll() {
+    return copyItems(activeItems());
+  }
+
+  const COPY_FORMATS = {
+    rich: 'Rich (HTML + text)',
+    markdown: 'Markdown (GitHub)',
+    html: 'Clean HTML',
+    plain: 'Plain text',
+    json: 'JSON'
+  };
+
+  const COPY_FORMAT_SHORT = { rich: '', markdown: 'MD', html: 'HTML', plain: 'Text', json: 'JSON' };
+
+  function renderCopyFormat() {
+    const short = COPY_FORMAT_SHORT[settings.copyFormat];
+    $('copy-format-label').textContent = short ? ` · ${short}` : '';
+    bulkEl.querySelector('[data-bulk="copy"]').title = `Copy selected as ${COPY_FORMATS[settings.copyFormat] || COPY_FORMATS.rich}`;
+  }
+
+  function copyFormatMenuEntries() {
+    const check = (on) => (on ? '✓ ' : '\u2003 ');
+    const entries = Object.entries(COPY_FORMATS).map(([id, label]) => ({
+      label: check(settings.copyFormat === id) + label,
+      run: () => updateSettings({ copyFormat: id })
+    }));
+    entries.push({ separator: true });
+    entries.push(
+      { label: check(settings.copyImages === 'embed') + 'Images: embed (data URL)', run: () => updateSettings({ copyImages: 'embed' }) },
+      { label: check(settings.copyImages === 'reference') + 'Images: reference by file name', run: () => updateSettings({ copyImages: 'reference' }) }
+    );
+    return entries;
+  }
+
+  // Copies items in the chosen format, in reversed display order (bottom of the list first).
+  async function copyItems(items, format = settings.copyFormat) {
+    if (!items.length) return toast('Empty');
+
+    const builders = {
+      rich: buildRichCopy,
+      markdown: buildMarkdownCopy,
+      html: buildSemanticHtmlCopy,
+      plain: buildPlainCopy,
+      json: buildJsonCopy
+    };
+    const build = builders[format] || buildRichCopy;
+    const label = (format === 'rich' || !builders[format]) ? 'rich' : COPY_FORMATS[format];
+    // The write starts right away with promised parts, like copySingle(): building may fetch every
+    // embedded image from the background first, and awaiting that could outlast the user activation.
+    const built = Promise.resolve(build(displayOrder(items).reverse()));
+    const part = (key, type) => built.then((r) => new Blob([r[key]], { type }));
+    const types = {};
+    if (build === buildRichCopy || build === buildSemanticHtmlCopy) types['text/html'] = part('html', 'text/html');
+    types['text/plain'] = part('text', 'text/plain');
+
+    try {
+      await navigator.clipboard.write([new ClipboardItem(types)]);
+      toast(`Copied (${label})`);
+    } catch (e) {
+      console.error('copyAll failed', e);
+      try {
+        await navigator.clipboard.writeText((await built).text);
+        toast('Copied (text only)');
+      } catch (_) {
+        toast('Copy blocked');
+      }
+    }
+  }
+
+  async function imageDataUrl(it) {
+    const blob = await itemBlob(it);
+    return blob ? blobToDataUrl(blob) : '';
+  }
+
+  // Inline-styled HTML + text/plain fallback; survives Word / Notion / Mail.
+  async function buildRichCopy(items) {
+    // Build HTML with minimal inline styles to survive across apps.
+    let htmlParts = [];
+    let textParts = [];
+
+    htmlParts.push(`<div style="font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:14px;line-height:1.45;color:#111;">`);
+
+    for (const it of items) {
+      if (it.kind === 'text') {
+        const safeHtml = it.html ? sanitizeHtml(it.html) : '';
+        const block = safeHtml
+          ? `<div style="margin:0 0 10px 0;">${safeHtml}</div>`
+          : `<div style="margin:0 0 10px 0;white-space:pre-wrap;">${escapeHtml(it.text || '').replaceAll('\n', '<br>')}</div>`;
+        htmlParts.push(block);
+        textParts.push(it.text || (it.html ? '[Rich Text]' : ''));
+        continue;
+      }
 
-    addItemLocal(item);
+      if (it.kind === 'image') {
+        const dataUrl = await imageDataUrl(it);
+        if (dataUrl) {
+          htmlParts.push(
+            `<div style="margin:0 0 10px 0;">` +
+              `<img src="${dataUrl}" alt="" style="max-width:100%;height:auto;border-radius:10px;border:1px solid rgba(0,0,0,0.08);" />` +
+            `</div>`
+          );
+        } else {
+          htmlParts.push(`<div style="margin:0 0 10px 0;color:#666;">[Image missing]</div>`);
+        }
+        textParts.push('[Image]');
+        continue;
+      }
 
-    try {
-      await persistBlobToBackground(id, fileToPersist);
-      item.pending = false;
-      render();
-      persistMetadata();
-    } catch (e) {
-      console.error('persist blob failed', e);
-      item.pending = false;
-      item.error = 'persist_failed';
+      // file
+      const name = escapeHtml(it.name || 'file');
+      const meta = escapeHtml(`${formatBytes(it.size || 0)} · ${it.mime || 'application/octet-stream'}`);
+      htmlParts.push(
+        `<div style="margin:0 0 10px 0;padding:10px 12px;border-radius:12px;border:1px solid rgba(0,0,0,0.08);background:#f7f7f8;">` +
+          `<div style="font-weight:700;margin-bottom:2px;">📎 ${name}</div>` +
+          `<div style="font-size:12px;color:#666;">${meta}</div>` +
+        `</div>`
+      );
+      textParts.push(`[File] ${it.name || ''} (${formatBytes(it.size || 0)})`);
+    }
 
-      // Fallback: store as dataURL in metadata (quota-limited)
-      try {
-        const dataUrl = await blobToDataUrl(fileToPersist);
-        item.dataUrl = dataUrl;
-        render();
-        persistMetadata();
-        toast('Saved (fallback)');
-      } catch (_) {
-        toast('Saved (session only)');
+    htmlParts.push(`</div>`);
+
+    return { html: htmlParts.join(''), text: textParts.join('\n\n') };
+  }
+
+  // Sanitized HTML without presentational attributes; text/plain carries the same markup as source.
+  async function buildSemanticHtmlCopy(items) {
+    const parts = [];
+    for (const it of items) {
+      if (it.kind === 'text') {
+        parts.push(it.html
+          ? stripPresentation(sanitizeHtml(it.html))
+          : `<p>${escapeHtml(it.text || '').replaceAll('\n', '<br>')}</p>`);
+      } else if (it.kind === 'image') {
+        const src = (settings.copyImages === 'embed') ? await imageDataUrl(it) : (it.name || 'image');
+        parts.push(`<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(it.name || '')}"></figure>`);
+      } else {
+        parts.push(
+          `<p><strong>${escapeHtml(it.name || 'file')}</strong> ` +
+          `<small>(${escapeHtml(formatBytes(it.size || 0))} · ${escapeHtml(it.mime || 'application/octet-stream')})</small></p>`
+        );
       }
     }
+    const html = parts.join('\n');
+    return { html, text: html };
   }
 
-  function addText({ text, html }) {
-    const t = (text || '').trimEnd();
-    const h = (html || '').trimEnd();
-    if (!t && !h) return;
+  const PRESENTATIONAL_ATTRS = ['style', 'class', 'id', 'align', 'bgcolor', 'color', 'face', 'size', 'border', 'cellpadding', 'cellspacing', 'valign'];
 
-    addItemLocal({
-      id: uid(),
-      kind: 'text',
-      createdAt: Date.now(),
-      text: t || '',
-      html: h || ''
-    });
+  function stripPresentation(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    for (const el of doc.body.querySelectorAll('*')) {
+      for (const a of PRESENTATIONAL_ATTRS) el.removeAttribute(a);
+    }
+    // <font> and bare <span> only ever carried styling.
+    for (const el of doc.body.querySelectorAll('font, span')) {
+      if (!el.attributes.length) el.replaceWith(...el.childNodes);
+    }
+    return doc.body.innerHTML;
   }
 
-  // ---------------------------
-  // Ingest (paste) - robust de-dupe & queue
-  // ---------------------------
-  let lastIngest = { sig: '', at: 0 };
-  let ingestQueue = Promise.resolve();
+  async function buildMarkdownCopy(items) {
+    const parts = [];
+    for (const it of items) {
+      if (it.kind === 'text') {
+        // Plain text goes through untouched: it may already be Markdown.
+        parts.push(it.html ? htmlToMarkdown(sanitizeHtml(it.html)) : (it.text || ''));
+      } else if (it.kind === 'image') {
+        const alt = mdEscape(it.name || 'image');
+        const src = (settings.copyImages === 'embed') ? await imageDataUrl(it) : encodeURI(it.name || 'image');
+        parts.push(src ? `![${alt}](${src})` : `*[Image missing: ${alt}]*`);
+      } else {
+        parts.push(`📎 **${mdEscape(it.name || 'file')}** (${formatBytes(it.size || 0)} · ${it.mime || 'application/octet-stream'})`);
+      }
+    }
+    return { text: parts.filter(Boolean).join('\n\n') };
+  }
 
-  function enqueueIngest(fn) {
-    ingestQueue = ingestQueue.then(fn).catch((e) => console.error('ingest error', e));
-    return ingestQueue;
+  function buildPlainCopy(items) {
+    const parts = items.map((it) => {
+      if (it.kind === 'text') return it.text || htmlToText(it.html || '');
+      if (it.kind === 'image') return `[Image: ${it.name || 'image'}]`;
+      return `[File] ${it.name || ''} (${formatBytes(it.size || 0)})`;
+    });
+    return { text: parts.filter(Boolean).join('\n\n') };
   }
 
-  async function ingestCandidates(candidates, sourceLabel) {
-    // candidates: [{type:'text', plain?, html?} | {type:'file', file:File}]
-    // Build signature (reads small parts only; avoids heavy work)
-    const sigParts = [];
-    for (const c of candidates) {
-      if (c.type === 'file') {
-        const f = c.file;
-        sigParts.push(`F:${f.type}|${f.size}|${f.name || ''}`);
+  async function buildJsonCopy(items) {
+    const out = [];
+    for (const it of items) {
+      const entry = { kind: it.kind, createdAt: new Date(it.createdAt || Date.now()).toISOString() };
+      if (it.pinned) entry.pinned = true;
+      if (it.kind === 'text') {
+        entry.text = it.text || '';
+        if (it.html) entry.html = sanitizeHtml(it.html);
       } else {
-        const p = (c.plain || '').slice(0, 256);
-        const h = (c.html || '').slice(0, 256);
-        sigParts.push(`T:${hash32(p)}:${hash32(h)}:${(c.plain || '').length}:${(c.html || '').length}`);
+        entry.name = it.name || '';
+        entry.mime = it.mime || 'application/octet-stream';
+        entry.size = it.size || 0;
+        if (it.kind === 'image') {
+          if (settings.copyImages === 'embed') entry.dataUrl = await imageDataUrl(it);
+          else entry.file = it.name || '';
+        }
       }
+      out.push(entry);
     }
-    const sig = hash32(sigParts.join('||'));
-    const now = Date.now();
-    if (sig === lastIngest.sig && (now - lastIngest.at) < INGEST_DEDUP_WINDOW_MS) {
-      return; // drop duplicate batch
+    const doc = {
+      format: 'clipboard-hub',
+      version: 1,
+      collection: activeCollection()?.name || 'Inbox',
+      exportedAt: new Date().toISOString(),
+      items: out
+    };
+    return { text: JSON.stringify(doc, null, 2) };
+  }
+
+  // ---------------------------
+  // HTML -> GitHub-flavored Markdown
+  // ---------------------------
+  const MD_BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV',
+    'FIGURE', 'FIGCAPTION', 'ADDRESS', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD'
+  ]);
+
+  const mdEscape = (s) => String(s).replace(/([\\`*_[\]])/g, '\\$1');
+
+  function htmlToMarkdown(html) {
+    try {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      return mdChildren(doc.body, {}).replace(/[ \t]+\n/g, (m) => (m.endsWith('  \n') ? '  \n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    } catch (_) {
+      return htmlToText(html);
     }
-    lastIngest = { sig, at: now };
+  }
 
-    let added = 0;
-    for (const c of candidates) {
-      if (c.type === 'file') {
-        const f = c.file;
-        if (!f) continue;
-        await addBlob({ blob: f, name: f.name || '', kindHint: 'file' });
-        added++;
-      } else {
-        const plain = c.plain || '';
-        const html = c.html || '';
-        if (!plain && !html) continue;
-        addText({ text: plain, html });
-        added++;
+  function mdChildren(node, ctx) {
+    return [...node.childNodes].map((n) => mdNode(n, ctx)).join('');
+  }
+
+  // Wraps inline content in a marker, keeping surrounding whitespace outside it.
+  function mdWrap(content, marker) {
+    const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+    return m[2] ? `${m[1]}${marker}${m[2]}${marker}${m[3]}` : content;
+  }
+
+  function mdNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return ctx.pre ? node.nodeValue : mdEscape(node.nodeValue.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName;
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) return `\n\n${'#'.repeat(Number(heading[1]))} ${mdChildren(node, ctx).trim()}\n\n`;
+
+    switch (tag) {
+      case 'BR': return ctx.table ? '<br>' : '  \n';
+      case 'HR': return '\n\n---\n\n';
+      case 'STRONG':
+      case 'B': return mdWrap(mdChildren(node, ctx), '**');
+      case 'EM':
+      case 'I': return mdWrap(mdChildren(node, ctx), '*');
+      case 'DEL':
+      case 'S':
+      case 'STRIKE': return mdWrap(mdChildren(node, ctx), '~~');
+      case 'CODE': {
+        if (ctx.pre) return node.textContent;
+        const code = node.textContent;
+        const fence = code.includes('`') ? '``' : '`';
+        return `${fence}${code}${fence}`;
+      }
+      case 'PRE': {
+        const code = node.textContent.replace(/\n$/, '');
+        const lang = (/language-([\w-]+)/.exec(node.querySelector('code')?.className || node.className) || [])[1] || '';
+        return `\n\n\`\`\`${lang}\n${code}\n\`\`\`\n\n`;
       }
+      case 'A': {
+        const href = node.getAttribute('href') || '';
+        const text = mdChildren(node, ctx).trim();
+        if (!href || href.startsWith('#')) return text;
+        return `[${text || href}](${href.replace(/\s/g, '%20').replace(/\)/g, '%29')})`;
+      }
+      case 'IMG': {
+        const src = node.getAttribute('src') || '';
+        return src ? `![${mdEscape(node.getAttribute('alt') || '')}](${src.replace(/\s/g, '%20')})` : '';
+      }
+      case 'UL':
+      case 'OL': return mdList(node, ctx);
+      case 'BLOCKQUOTE': {
+        const inner = mdChildren(node, ctx).replace(/\n{3,}/g, '\n\n').trim();
+        return `\n\n${inner.split('\n').map((l) => (l ? `> ${l}` : '>')).join('\n')}\n\n`;
+      }
+      case 'TABLE': return mdTable(node, ctx);
+      case 'SCRIPT':
+      case 'STYLE':
+      case 'TEMPLATE':
+      case 'HEAD':
+      case 'TITLE': return '';
+      default:
+        return MD_BLOCK_TAGS.has(tag) ? `\n\n${mdChildren(node, ctx).trim()}\n\n` : mdChildren(node, ctx);
     }
+  }
 
-    if (added) toast(`Added ${added} item${added > 1 ? 's' : ''}`);
-    else if (sourceLabel) toast('Nothing to add');
+  function mdList(list, ctx) {
+    const ordered = list.tagName === 'OL';
+    let n = Number(list.getAttribute('start')) || 1;
+    const lines = [];
+    for (const li of list.children) {
+      if (li.tagName !== 'LI') continue;
+      const marker = ordered ? `${n++}. ` : '- ';
+      const checkbox = li.querySelector(':scope > input[type="checkbox"]');
+      const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+      const body = mdChildren(li, ctx).replace(/\n{2,}/g, '\n').trim();
+      const indent = ' '.repeat(marker.length);
+      lines.push(marker + task + body.split('\n').map((l, i) => (i ? indent + l : l)).join('\n'));
+    }
+    return `\n\n${lines.join('\n')}\n\n`;
   }
 
-  async function ingestFromPasteEvent(e) {
-    const dt = e.clipboardData;
-    if (!dt || !dt.items || !dt.items.length) return;
+  function mdTable(table, ctx) {
+    const rows = [...table.querySelectorAll('tr')].filter((tr) => tr.closest('table') === table);
+    if (!rows.length) return '';
+    const cells = rows.map((tr) =>
+      [...tr.children]
+        .filter((c) => c.tagName === 'TD' || c.tagName === 'TH')
+        .map((c) => mdChildren(c, { ...ctx, table: true }).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim())
+    );
+    const width = Math.max(1, ...cells.map((r) => r.length));
+    const line = (r) => `| ${[...r, ...Array(width - r.length).fill('')].join(' | ')} |`;
+    return `\n\n${[line(cells[0]), line(Array(width).fill('---')), ...cells.slice(1).map(line)].join('\n')}\n\n`;
+  }
 
-    const raw = Array.from(dt.items);
+  // ---------------------------
+  // Search & filter
+  // ---------------------------
+  const DAY_MS = 24 * 60 * 60 * 1000;
 
-    // Convert dt.items to ordered candidates:
-    // - Merge adjacent text/plain + text/html into a single text candidate (prefer to keep both).
-    const candidates = [];
-    let pendingText = { plain: '', html: '' };
+  /** @type {{ query: string, terms: string[], kind: string, range: string }} */
+  const filter = { query: '', terms: [], kind: 'all', range: 'any' };
 
-    for (const it of raw) {
-      if (it.kind === 'file') {
-        if (pendingText.plain || pendingText.html) {
-          candidates.push({ type: 'text', plain: pendingText.plain, html: pendingText.html });
-          pendingText = { plain: '', html: '' };
-        }
-        const file = it.getAsFile();
-        if (file) candidates.push({ type: 'file', file });
-        continue;
-      }
+  /** hashes held by more than one item of the active collection; refreshed on every render */
+  let dupeHashes = new Set();
 
-      if (it.kind === 'string') {
-        if (it.type === 'text/plain') pendingText.plain = (await readDTString(it)) || pendingText.plain;
-        else if (it.type === 'text/html') pendingText.html = (await readDTString(it)) || pendingText.html;
-        else if (it.type === 'text/uri-list') {
-          const url = (await readDTString(it)).trim();
-          if (url) pendingText.plain = pendingText.plain ? (pendingText.plain + '\n' + url) : url;
-        }
-      }
+  function duplicateHashes(items) {
+    const seen = new Set();
+    const dupes = new Set();
+    for (const it of items) {
+      if (!it.hash) continue;
+      if (seen.has(it.hash)) dupes.add(it.hash);
+      seen.add(it.hash);
     }
+    return dupes;
+  }
 
-    if (pendingText.plain || pendingText.html) candidates.push({ type: 'text', plain: pendingText.plain, html: pendingText.html });
+  /** search index: itemId -> { src, hay }; rebuilt only when an item's searchable fields change */
+  const searchIndex = new Map();
 
-    await ingestCandidates(candidates, 'paste');
+  function htmlToText(html) {
+    try {
+      return new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+    } catch (_) {
+      return '';
+    }
   }
 
-  async function smartPasteFromClipboardAPI() {
-    // Requires user gesture (button click).
-    // We intentionally extract *all* types per ClipboardItem to support mixed content.
-    const items = await navigator.clipboard.read();
+  function searchEntry(it) {
+    const src = `${it.text || ''}\u0000${it.html || ''}\u0000${it.name || ''}\u0000${it.mime || ''}`;
+    let entry = searchIndex.get(it.id);
+    if (!entry || entry.src !== src) {
+      const htmlText = it.html ? htmlToText(it.html) : '';
+      entry = {
+        src,
+        htmlText,
+        hay: [it.text, htmlText, it.name, it.mime].filter(Boolean).join('\n').toLowerCase()
+      };
+      searchIndex.set(it.id, entry);
+    }
+    return entry;
+  }
 
-    /** @type {Array<any>} */
-    const candidates = [];
+  function isFiltering() {
+    return !!filter.terms.length || filter.kind !== 'all' || filter.range !== 'any';
+  }
 
-    for (const clipItem of items) {
-      const types = Array.isArray(clipItem.types) ? clipItem.types : [];
+  function inRange(ts) {
+    const now = Date.now();
+    switch (filter.range) {
+      case 'today': {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        return ts >= midnight.getTime();
+      }
+      case '7d': return ts >= now - 7 * DAY_MS;
+      case '30d': return ts >= now - 30 * DAY_MS;
+      case 'older': return ts < now - 30 * DAY_MS;
+      default: return true;
+    }
+  }
 
-      // text
-      let html = '';
-      let plain = '';
-      if (types.includes('text/html')) {
-        try {
-          const b = await clipItem.getType('text/html');
-          html = await b.text();
-        } catch (_) {}
+  function matchesFilter(it) {
+    if (filter.kind === 'dupes') {
+      if (!dupeHashes.has(it.hash)) return false;
+    } else if (filter.kind !== 'all' && it.kind !== filter.kind) return false;
+    if (filter.range !== 'any' && !inRange(it.createdAt || 0)) return false;
+    if (!filter.terms.length) return true;
+    const { hay } = searchEntry(it);
+    return filter.terms.every((t) => hay.includes(t));
+  }
+
+  // Fill el with text, wrapping every case-insensitive occurrence of the active terms in <mark>.
+  function setHighlighted(el, text) {
+    el.textContent = '';
+    if (!filter.terms.length || !text) {
+      el.textContent = text;
+      return;
+    }
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of filter.terms) {
+      let at = lower.indexOf(term);
+      while (at >= 0) {
+        ranges.push([at, at + term.length]);
+        at = lower.indexOf(term, at + term.length);
       }
-      if (types.includes('text/plain')) {
-        try {
-          const b = await clipItem.getType('text/plain');
-          plain = await b.text();
-        } catch (_) {}
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let pos = 0;
+    for (const [a, b] of ranges) {
+      if (b <= pos) continue;
+      const from = Math.max(a, pos);
+      if (from > pos) el.appendChild(document.createTextNode(text.slice(pos, from)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(from, b);
+      el.appendChild(mark);
+      pos = b;
+    }
+    if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+  }
+
+  function setFilter(patch) {
+    Object.assign(filter, patch);
+    filter.terms = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+    for (const chip of chipsEl.querySelectorAll('.chip')) {
+      chip.classList.toggle('active', chip.dataset.kind === filter.kind);
+    }
+    render();
+  }
+
+  // ---------------------------
+  // Render
+  // ---------------------------
+  function timeAgo(ts) {
+    const d = Date.now() - ts;
+    const s = Math.floor(d / 1000);
+    if (s < 60) return `${s}s ago`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m ago`;
+    const h = Math.floor(m / 60);
+    if (h < 24) return `${h}h ago`;
+    const days = Math.floor(h / 24);
+    return `${days}d ago`;
+  }
+
+  function updateBadge() {
+    const n = activeItems().length;
+    badgeEl.textContent = String(n);
+    badgeEl.classList.toggle('show', n > 0);
+  }
+
+  // ---------------------------
+  // List rows (virtualized)
+  // ---------------------------
+  // render() lays the visible items out as rows (section headers + cards). Only rows near the viewport
+  // are in the DOM, between two spacers standing in for the rest. Cards are keyed by item id and rebuilt
+  // only when their signature changes, so a paste touches one card instead of the whole list.
+  const OVERSCAN_PX = 600;
+  const ESTIMATED_HEIGHT = { section: 16, text: 190, image: 290, file: 110 };
+  const rowGap = (row) => (row.item ? 12 : 8); // .card / .section margin-bottom
+
+  /** Rows of the current render: { key, item } for cards (key = item id), { key, title } for sections. */
+  let rows = [];
+  /** Items of the card rows, in display order (what keyboard navigation and range selection walk). */
+  let visibleItems = [];
+  /** key -> measured height (px); rows not measured yet use ESTIMATED_HEIGHT. */
+  const rowHeights = new Map();
+  /** Rows currently in the DOM: key -> { el, item, sig } */
+  const rowEls = new Map();
+  let windowStart = 0;
+  let windowEnd = 0;
+  /** Ids new since the previous render; their cards get the entry animation. */
+  let freshIds = new Set();
+
+  const topSpacer = document.createElement('div');
+  topSpacer.className = 'spacer';
+  const bottomSpacer = document.createElement('div');
+  bottomSpacer.className = 'spacer';
+
+  const rowExtent = (row) =>
+    (rowHeights.get(row.key) ?? (row.item ? (ESTIMATED_HEIGHT[row.item.kind] || ESTIMATED_HEIGHT.file) : ESTIMATED_HEIGHT.section)) + rowGap(row);
+
+  // Everything buildCard() output depends on, besides the item object itself.
+  const cardSignature = (it) =>
+    JSON.stringify([it, selection.has(it.id), filter.terms, settings.htmlProfile], (k, v) => (k === 'dataUrl' ? !!v : v));
+
+  // Measured sizes (images loading, "Show more", drawer resizes) move the window.
+  const rowResizeObserver = new ResizeObserver((entries) => {
+    let changed = false;
+    for (const entry of entries) {
+      const el = entry.target;
+      if (el === listEl) {
+        changed = true;
+        continue;
       }
-      if (plain || html) {
-        candidates.push({ type: 'text', plain, html });
+      const key = el.dataset.rowKey;
+      if (!el.isConnected || !key) continue;
+      const h = el.offsetHeight;
+      if (rowHeights.get(key) !== h) {
+        rowHeights.set(key, h);
+        changed = true;
       }
+    }
+    if (changed) scheduleWindowUpdate();
+  });
+  rowResizeObserver.observe(listEl);
+
+  let windowFrame = 0;
+  function scheduleWindowUpdate() {
+    if (windowFrame) return;
+    windowFrame = requestAnimationFrame(() => {
+      windowFrame = 0;
+      updateWindow();
+    });
+  }
+  listEl.addEventListener('scroll', scheduleWindowUpdate, { passive: true });
+
+  function releaseRow(key) {
+    const entry = rowEls.get(key);
+    if (!entry) return;
+    rowResizeObserver.unobserve(entry.el);
+    const img = entry.el.querySelector('img[data-blob-id]');
+    if (img) thumbObserver.unobserve(img);
+    // Keep keyboard focus inside the hub when the focused card scrolls out (see the list keydown handler).
+    if (entry.el.contains(shadow.activeElement)) listEl.focus({ preventScroll: true });
+    entry.el.remove();
+    rowEls.delete(key);
+  }
 
-      // images + other binary types
-      for (const t of types) {
-        if (t.startsWith('image/')) {
-          try {
-            const blob = await clipItem.getType(t);
-            const extGuess = t.split('/')[1] || 'png';
-            candidates.push({ type: 'file', file: new File([blob], `clipboard-image.${extGuess}`, { type: t }) });
-          } catch (_) {}
-          continue;
-        }
-        if (t === 'text/plain' || t === 'text/html') continue;
+  function rowElement(row, validate) {
+    const entry = rowEls.get(row.key);
+    if (!row.item) {
+      if (entry) return entry.el;
+      const h = document.createElement('div');
+      h.className = 'section';
+      h.textContent = row.title;
+      h.dataset.rowKey = row.key;
+      rowEls.set(row.key, { el: h });
+      rowResizeObserver.observe(h);
+      return h;
+    }
 
-        // best-effort: treat other binary formats as file
-        if (!t.startsWith('text/')) {
-          try {
-            const blob = await clipItem.getType(t);
-            const extGuess = (t.split('/')[1] || 'bin').replace(/[^a-z0-9]+/gi, '');
-            candidates.push({ type: 'file', file: new File([blob], `clipboard.${extGuess || 'bin'}`, { type: t }) });
-          } catch (_) {}
-        }
-      }
+    const it = row.item;
+    const sig = validate || !entry ? cardSignature(it) : entry.sig;
+    if (entry && entry.item === it && entry.sig === sig) {
+      entry.el.tabIndex = (it.id === focusedId) ? 0 : -1;
+      if (validate) entry.el.querySelector('.when').textContent = timeAgo(it.createdAt || Date.now());
+      return entry.el;
+    }
+    if (entry) releaseRow(row.key);
+    const card = buildCard(it);
+    card.dataset.rowKey = row.key;
+    if (freshIds.has(it.id)) card.classList.add('fresh');
+    rowEls.set(row.key, { el: card, item: it, sig });
+    rowResizeObserver.observe(card);
+    return card;
+  }
+
+  // Puts the rows overlapping the viewport (plus OVERSCAN_PX) between the spacers. validate re-checks
+  // card signatures; render() passes it, scrolling does not (state has not changed since).
+  function updateWindow(validate = false) {
+    if (!rows.length) return;
+    const tops = [];
+    let total = 0;
+    for (const row of rows) {
+      tops.push(total);
+      total += rowExtent(row);
+    }
+
+    const viewTop = listEl.scrollTop - OVERSCAN_PX;
+    const viewBottom = listEl.scrollTop + listEl.clientHeight + OVERSCAN_PX;
+    let start = 0;
+    while (start < rows.length - 1 && tops[start] + rowExtent(rows[start]) <= viewTop) start++;
+    let end = start;
+    while (end < rows.length && tops[end] < viewBottom) end++;
+    end = Math.max(end, start + 1);
+    // The dragged card must stay in the DOM (dragend fires on it) while the list auto-scrolls.
+    if (dragId) {
+      start = Math.min(start, windowStart);
+      end = Math.min(rows.length, Math.max(end, windowEnd));
+    }
+    windowStart = start;
+    windowEnd = end;
+
+    topSpacer.style.height = `${tops[start]}px`;
+    bottomSpacer.style.height = `${total - (end < rows.length ? tops[end] : total)}px`;
+
+    const wanted = [topSpacer];
+    const wantedKeys = new Set();
+    for (let i = start; i < end; i++) {
+      wantedKeys.add(rows[i].key);
+      wanted.push(rowElement(rows[i], validate));
+    }
+    wanted.push(bottomSpacer);
+    for (const key of [...rowEls.keys()]) if (!wantedKeys.has(key)) releaseRow(key);
+
+    // Place rows in order, moving only those out of place.
+    let cursor = listEl.firstChild;
+    for (const el of wanted) {
+      if (el === cursor) cursor = cursor.nextSibling;
+      else listEl.insertBefore(el, cursor);
+    }
+    while (cursor) {
+      const next = cursor.nextSibling;
+      cursor.remove();
+      cursor = next;
     }
+  }
 
-    await ingestCandidates(candidates, 'smart');
+  function showListMessage(msg) {
+    rows = [];
+    visibleItems = [];
+    for (const key of [...rowEls.keys()]) releaseRow(key);
+    listEl.innerHTML = `<div class="empty">${msg}</div>`;
   }
 
-  // ---------------------------
-  // Copy logic
-  // ---------------------------
-  async function copySingle(it) {
-    if (!it) return;
+  // Brings the card of item id into the DOM (scrolling to it when outside the window).
+  function revealCard(id) {
+    const idx = rows.findIndex((row) => row.key === id);
+    if (idx < 0) return null;
+    if (idx < windowStart || idx >= windowEnd) {
+      let y = 0;
+      for (let i = 0; i < idx; i++) y += rowExtent(rows[i]);
+      listEl.scrollTop = Math.max(0, y - listEl.clientHeight / 2);
+      updateWindow();
+    }
+    return cardById(id);
+  }
 
-    if (it.kind === 'text') {
-      const s = it.text || '';
-      await navigator.clipboard.writeText(s);
-      toast('Copied text');
+  function render() {
+    updateBadge();
+    renderCollections();
+    renderBulkBar();
+    const hadFocus = listEl.contains(shadow.activeElement);
+    const prevIndex = focusedIndex();
+    const prevIds = new Set(visibleItems.map((it) => it.id));
+
+    const items = activeItems();
+    dupeHashes = duplicateHashes(items);
+    const dupesChip = $('chip-dupes');
+    dupesChip.hidden = !dupeHashes.size && filter.kind !== 'dupes';
+    dupesChip.textContent = dupeHashes.size ? `Duplicates (${dupeHashes.size})` : 'Duplicates';
+    if (!items.length) {
+      showListMessage('Empty. Open the hub and paste (Ctrl/⌘+V), or use Smart Paste.');
       return;
     }
 
-    const blobId = it.blobId || it.id;
-    const cache = blobCache.get(blobId);
-    const blob = cache?.blob;
+    const filtering = isFiltering();
+    const visible = filtering ? items.filter(matchesFilter) : items;
+    if (filtering) setSubtitle(`${visible.length} of ${items.length} items match`);
+    else if (subtitleEl.dataset.filter) setSubtitle(OPEN_SUBTITLE);
+    subtitleEl.dataset.filter = filtering ? '1' : '';
+
+    if (searchIndex.size > state.items.length * 2) {
+      const live = new Set(state.items.map((it) => it.id));
+      for (const id of searchIndex.keys()) if (!live.has(id)) searchIndex.delete(id);
+    }
 
-    if (!blob && it.dataUrl) {
-      // fallback restore
-      const r = await fetch(it.dataUrl);
-      const b = await r.blob();
-      await navigator.clipboard.write([new ClipboardItem({ [b.type || 'application/octet-stream']: b })]);
-      toast('Copied');
+    if (!visible.length) {
+      showListMessage('No matching items.');
       return;
     }
 
-    if (!blob) return toast('Missing blob');
+    if (!visible.some((it) => it.id === focusedId)) {
+      focusedId = visible[clamp(prevIndex, 0, visible.length - 1)].id;
+    }
 
-    try {
-      await navigator.clipboard.write([new ClipboardItem({ [blob.type || 'application/octet-stream']: blob })]);
-      toast(it.kind === 'image' ? 'Copied image' : 'Copied file');
-    } catch (e) {
-      // Some platforms disallow arbitrary file mime on clipboard
-      try {
-        const dataUrl = await blobToDataUrl(blob);
-        await navigator.clipboard.writeText(dataUrl);
-        toast('Copied as data URL');
-      } catch (_) {
-        toast('Copy blocked');
-      }
+    // Pinned items get their own section on top; they survive Clear. Drag reorders within a section.
+    const pinned = visible.filter((it) => it.pinned);
+    const sections = pinned.length
+      ? [['Pinned', pinned], ['Recent', visible.filter((it) => !it.pinned)]]
+      : [['', visible]];
+
+    rows = [];
+    for (const [title, items] of sections) {
+      if (title && items.length) rows.push({ key: `section:${title}`, title });
+      for (const it of items) rows.push({ key: it.id, item: it });
     }
-  }
+    visibleItems = rows.filter((row) => row.item).map((row) => row.item);
 
-  async function copyAll() {
-    if (!state.items.length) return toast('Empty');
+    if (rowHeights.size > state.items.length * 2 + 2) {
+      const live = new Set(state.items.map((it) => it.id));
+      for (const key of rowHeights.keys()) if (!live.has(key) && !key.startsWith('section:')) rowHeights.delete(key);
+    }
 
-    // Build HTML with minimal inline styles to survive across apps.
-    let htmlParts = [];
-    let textParts = [];
+    freshIds = new Set(visibleItems.filter((it) => !prevIds.has(it.id)).map((it) => it.id));
+    updateWindow(true);
+    freshIds.clear();
 
-    htmlParts.push(`<div style="font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:14px;line-height:1.45;color:#111;">`);
+    if (hadFocus) focusCard(revealCard(focusedId));
+  }
 
-    for (const it of [...state.items].reverse()) {
-      // reverse so the oldest appears first when pasting
-      if (it.kind === 'text') {
-        const safeHtml = it.html ? sanitizeHtml(it.html) : '';
-        const block = safeHtml
-          ? `<div style="margin:0 0 10px 0;">${safeHtml}</div>`
-          : `<div style="margin:0 0 10px 0;white-space:pre-wrap;">${escapeHtml(it.text || '').replaceAll('\n', '<br>')}</div>`;
-        htmlParts.push(block);
-        textParts.push(it.text || (it.html ? '[Rich Text]' : ''));
-        continue;
-      }
+  function buildCard(it) {
+    const card = document.createElement('div');
+    card.className = 'card' + (it.pinned ? ' pinned' : '') + (selection.has(it.id) ? ' selected' : '');
+    card.setAttribute('aria-selected', String(selection.has(it.id)));
+    card.dataset.id = it.id;
+    card.setAttribute('role', 'option');
+    card.tabIndex = (it.id === focusedId) ? 0 : -1;
+
+    const head = document.createElement('div');
+    head.className = 'card-head';
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+
+    const kindIcon = it.kind === 'image' ? ICONS.img : (it.kind === 'file' ? ICONS.file : ICONS.paste);
+    meta.innerHTML = `
+      <div class="kind">${kindIcon}<span>${(it.kind || '').toUpperCase()}${it.pending ? ' · Saving…' : ''}${it.error ? ' · ⚠' : ''}</span></div>
+      <div class="when">${timeAgo(it.createdAt || Date.now())}</div>
+    `;
+
+    const acts = document.createElement('div');
+    acts.className = 'card-actions';
+
+    const bCopy = document.createElement('button');
+    bCopy.className = 'mini';
+    bCopy.title = 'Copy (Enter)';
+    bCopy.tabIndex = -1;
+    bCopy.innerHTML = ICONS.copy;
+    bCopy.onclick = () => copySingle(it);
+
+    const bDel = document.createElement('button');
+    bDel.className = 'mini danger';
+    bDel.title = 'Delete (Backspace)';
+    bDel.tabIndex = -1;
+    bDel.innerHTML = ICONS.trash;
+    bDel.onclick = () => removeItem(it.id);
+
+    const bPin = document.createElement('button');
+    bPin.className = it.pinned ? 'mini on' : 'mini';
+    bPin.title = it.pinned ? 'Unpin (P)' : 'Pin — kept on Clear (P)';
+    bPin.tabIndex = -1;
+    bPin.innerHTML = ICONS.pin;
+    bPin.onclick = () => togglePin(it);
+
+    const bMove = document.createElement('button');
+    bMove.className = 'mini';
+    bMove.title = 'Move / copy to collection (M)';
+    bMove.tabIndex = -1;
+    bMove.innerHTML = ICONS.folder;
+    bMove.onclick = () => openMenu(bMove, collectionMenuEntries([it]));
+
+    acts.appendChild(bMove);
+    acts.appendChild(bPin);
+    acts.appendChild(bCopy);
+    acts.appendChild(bDel);
+
+    const grip = document.createElement('div');
+    grip.className = 'grip';
+    grip.title = 'Drag to reorder (Alt+↑/↓)';
+    grip.innerHTML = ICONS.grip;
+    // Only the handle starts a drag, so text in the card stays selectable.
+    grip.onmousedown = () => { card.draggable = true; };
+    grip.onmouseup = () => { card.draggable = false; };
+    card.addEventListener('dragend', () => { card.draggable = false; });
+
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.className = 'pick';
+    pick.title = 'Select (Space) — Shift-click selects a range';
+    pick.tabIndex = -1;
+    pick.checked = selection.has(it.id);
+    pick.onclick = (e) => {
+      e.preventDefault(); // render() owns the checked state
+      toggleSelect(it.id, { range: e.shiftKey });
+    };
+
+    head.appendChild(pick);
+    head.appendChild(grip);
+    head.appendChild(meta);
+    head.appendChild(acts);
 
-      const blobId = it.blobId || it.id;
-      const cache = blobCache.get(blobId);
-      let blob = cache?.blob;
+    const body = document.createElement('div');
+    body.className = 'body';
 
-      if (!blob && it.dataUrl) {
-        try { blob = await (await fetch(it.dataUrl)).blob(); } catch (_) {}
+    if (it.kind === 'text') {
+      const view = textView(it);
+      if (it.html) body.appendChild(buildViewSwitch(it, view));
+
+      let box;
+      let long;
+      if (view === 'rendered') {
+        box = document.createElement('div');
+        box.className = 'rich-preview';
+        box.appendChild(buildPreviewFrame(it.html));
+        long = isLongText(it.text) || /<(img|table)\b/i.test(it.html);
+      } else if (view === 'source') {
+        box = document.createElement('div');
+        box.className = 'text-box source';
+        box.textContent = it.html;
+        long = isLongText(it.html);
+      } else {
+        box = document.createElement('div');
+        box.className = 'text-box';
+        const t = (it.text || '').trim();
+        // HTML-only items show their text content while searching, so matches are visible.
+        const htmlText = (!t && it.html && (filter.terms.length || it.view === 'plain')) ? searchEntry(it).htmlText.trim() : '';
+        if (t || htmlText) setHighlighted(box, t || htmlText);
+        else box.textContent = it.html ? '[Rich text]' : '';
+        long = isLongText(it.text);
+      }
+      box.classList.toggle('clamp', !it.expanded);
+      body.appendChild(box);
+
+      if (long) {
+        const more = document.createElement('div');
+        more.className = 'text-more';
+        more.textContent = it.expanded ? 'Collapse' : 'Show more';
+        more.onclick = () => {
+          it.expanded = !it.expanded;
+          box.classList.toggle('clamp', !it.expanded);
+          more.textContent = it.expanded ? 'Collapse' : 'Show more';
+        };
+        body.appendChild(more);
+      }
+    } else if (it.kind === 'image') {
+      const img = document.createElement('img');
+      img.className = 'img';
+      img.alt = '';
+      const src = blobCache.get(it.blobId)?.url || thumbCache.get(it.blobId) || it.dataUrl;
+      if (src) img.src = src;
+      else if (it.blobId) {
+        img.dataset.blobId = it.blobId;
+        thumbObserver.observe(img);
       }
+      body.appendChild(img);
 
-      if (it.kind === 'image') {
-        if (blob) {
-          const dataUrl = await blobToDataUrl(blob);
-          htmlParts.push(
-            `<div style="margin:0 0 10px 0;">` +
-              `<img src="${dataUrl}" alt="" style="max-width:100%;height:auto;border-radius:10px;border:1px solid rgba(0,0,0,0.08);" />` +
-            `</div>`
-          );
-        } else {
-          htmlParts.push(`<div style="margin:0 0 10px 0;color:#666;">[Image missing]</div>`);
-        }
-        textParts.push('[Image]');
-        continue;
+      if (it.altBlobId) {
+        // Both renditions are stored; copy / download use the one shown here.
+        const usingOriginal = it.rendition === 'original';
+        const row = document.createElement('div');
+        row.className = 'rendition';
+        row.innerHTML = `<span>Using <b>${usingOriginal ? 'original' : 'compressed'}</b> · ${escapeHtml(formatBytes(it.size || 0))}</span>`;
+        const swap = document.createElement('button');
+        swap.tabIndex = -1;
+        swap.textContent = `Use ${usingOriginal ? 'compressed' : 'original'} (${formatBytes(it.altSize || 0)})`;
+        swap.onclick = () => switchRendition(it);
+        row.appendChild(swap);
+        body.appendChild(row);
       }
+    } else {
+      const row = document.createElement('div');
+      row.className = 'file-row';
+
+      row.innerHTML = `
+        <div style="display:flex;align-items:center;justify-content:center;width:34px;height:34px;border-radius:12px;background:rgba(255,255,255,0.06);border:1px solid rgba(255,255,255,0.10);">
+          ${ICONS.file}
+        </div>
+        <div class="file-text">
+          <div class="name"></div>
+          <div class="sub"></div>
+        </div>
+      `;
+      setHighlighted(row.querySelector('.name'), it.name || 'file');
+      setHighlighted(row.querySelector('.sub'), `${formatBytes(it.size || 0)} · ${it.mime || 'application/octet-stream'}`);
+      body.appendChild(row);
+    }
 
-      // file
-      const name = escapeHtml(it.name || 'file');
-      const meta = escapeHtml(`${formatBytes(it.size || 0)} · ${it.mime || 'application/octet-stream'}`);
-      htmlParts.push(
-        `<div style="margin:0 0 10px 0;padding:10px 12px;border-radius:12px;border:1px solid rgba(0,0,0,0.08);background:#f7f7f8;">` +
-          `<div style="font-weight:700;margin-bottom:2px;">📎 ${name}</div>` +
-          `<div style="font-size:12px;color:#666;">${meta}</div>` +
-        `</div>`
-      );
-      textParts.push(`[File] ${it.name || ''} (${formatBytes(it.size || 0)})`);
+    card.appendChild(head);
+    card.appendChild(body);
+    return card;
+  }
+
+  // ---------------------------
+  // Text card views: rendered HTML preview, plain text, HTML source
+  // ---------------------------
+  const TEXT_VIEWS = { rendered: 'Rendered', plain: 'Plain', source: 'Source' };
+
+  // Light "paper" like the documents Copy All pastes into; the markup's own inline styles still apply.
+  const PREVIEW_CSS = `
+    html { background: #fff; color: #111; overflow: hidden; }
+    body { margin: 0; padding: 10px 12px;
+      font: 13px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; word-break: break-word; }
+    body > :first-child { margin-top: 0; }
+    body > :last-child { margin-bottom: 0; }
+    img, video { max-width: 100%; height: auto; }
+    table { border-collapse: collapse; max-width: 100%; }
+    td, th { border: 1px solid #d0d0d5; padding: 3px 6px; vertical-align: top; }
+    pre { white-space: pre-wrap; }
+    a { color: #0a63d6; }
+    .remote-img { display: inline-block; margin: 2px 0; padding: 6px 10px; border: 1px dashed #b0b0b8; border-radius: 6px;
+      background: #f4f4f6; color: #555; font: inherit; font-size: 12px; cursor: pointer; }
+    .remote-img:disabled { cursor: default; }
+  `;
+
+  /**
+   * Sandboxed frame for the rendered view: no scripts, forms or plugins, and a CSP that only lets
+   * data:/blob: images load. allow-same-origin is kept (without allow-scripts nothing runs inside) so
+   * the hub can size the frame to its content and swap placeholders for images fetched on click.
+   */
+  function buildPreviewFrame(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-same-origin allow-popups allow-popups-to-escape-sandbox');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    frame.title = 'Rendered preview';
+    frame.srcdoc = previewDocument(html);
+    frame.addEventListener('load', () => {
+      const doc = frame.contentDocument;
+      if (!doc?.documentElement) return;
+      const fit = () => { frame.style.height = `${doc.documentElement.scrollHeight}px`; };
+      fit();
+      doc.addEventListener('load', fit, true); // inline images finishing
+      doc.addEventListener('click', (e) => {
+        const button = e.target.closest?.('button.remote-img');
+        if (button) loadRemoteImage(button, fit);
+      });
+    });
+    return frame;
+  }
+
+  async function loadRemoteImage(button, fit) {
+    if (button.disabled) return;
+    button.disabled = true;
+    button.textContent = 'Loading image…';
+    const resp = await runtimeSend('image.fetch', { url: button.dataset.src }).catch(() => null);
+    if (!resp?.ok || !resp.buffer) {
+      button.textContent = 'Image unavailable';
+      fit();
+      return;
     }
+    const img = button.ownerDocument.createElement('img');
+    img.src = await blobToDataUrl(new Blob([resp.buffer], { type: resp.mime }));
+    img.alt = button.dataset.alt || '';
+    img.addEventListener('load', fit);
+    button.replaceWith(img);
+  }
 
-    htmlParts.push(`</div>`);
+  const isLongText = (s) => (s || '').length > 280 || (s || '').split('\n').length > 8;
 
-    const html = htmlParts.join('');
-    const text = textParts.join('\n\n');
+  // Items with HTML open rendered, except while searching (the plain view highlights matches).
+  function textView(it) {
+    if (!it.html) return 'plain';
+    if (it.view) return it.view;
+    return filter.terms.length ? 'plain' : 'rendered';
+  }
 
-    try {
-      await navigator.clipboard.write([
-        new ClipboardItem({
-          'text/html': new Blob([html], { type: 'text/html' }),
-          'text/plain': new Blob([text], { type: 'text/plain' })
-        })
-      ]);
-      toast('Copied (rich)');
-    } catch (e) {
-      console.error('copyAll failed', e);
-      try {
-        await navigator.clipboard.writeText(text);
-        toast('Copied (text only)');
-      } catch (_) {
-        toast('Copy blocked');
-      }
+  function buildViewSwitch(it, current) {
+    const views = document.createElement('div');
+    views.className = 'views';
+    for (const [view, label] of Object.entries(TEXT_VIEWS)) {
+      const b = document.createElement('button');
+      b.tabIndex = -1;
+      b.textContent = label;
+      b.classList.toggle('active', view === current);
+      b.onclick = () => setTextView(it, view);
+      views.appendChild(b);
     }
+    return views;
+  }
+
+  // The view is per tab (a transient field, like expanded).
+  function setTextView(it, view) {
+    if (!it?.html || textView(it) === view) return;
+    it.view = view;
+    render();
+  }
+
+  function cycleTextView(it) {
+    if (!it?.html) return;
+    const order = Object.keys(TEXT_VIEWS);
+    setTextView(it, order[(order.indexOf(textView(it)) + 1) % order.length]);
   }
 
   // ---------------------------
-  // Render
+  // Keyboard navigation (roving focus over the cards)
   // ---------------------------
-  function timeAgo(ts) {
-    const d = Date.now() - ts;
-    const s = Math.floor(d / 1000);
-    if (s < 60) return `${s}s ago`;
-    const m = Math.floor(s / 60);
-    if (m < 60) return `${m}m ago`;
-    const h = Math.floor(m / 60);
-    if (h < 24) return `${h}h ago`;
-    const days = Math.floor(h / 24);
-    return `${days}d ago`;
+  let focusedId = null;
+
+  const cardById = (id) => (id ? listEl.querySelector(`.card[data-id="${CSS.escape(id)}"]`) : null);
+  const itemById = (id) => state.items.find((it) => it.id === id);
+
+  function focusedIndex() {
+    return Math.max(0, visibleItems.findIndex((it) => it.id === focusedId));
   }
 
-  function updateBadge() {
-    const n = state.items.length;
-    badgeEl.textContent = String(n);
-    badgeEl.classList.toggle('show', n > 0);
+  function focusCard(card) {
+    if (!card) return;
+    const prev = cardById(focusedId);
+    if (prev && prev !== card) prev.tabIndex = -1;
+    card.tabIndex = 0;
+    focusedId = card.dataset.id;
+    card.focus();
+    card.scrollIntoView({ block: 'nearest' });
   }
 
-  function render() {
-    updateBadge();
-    listEl.innerHTML = '';
+  function focusItem(id) {
+    if (!visibleItems.some((it) => it.id === id) && isFiltering()) {
+      // Jumping to a filtered-out item: drop the filters so it is reachable.
+      searchEl.value = '';
+      rangeEl.value = 'any';
+      setFilter({ query: '', kind: 'all', range: 'any' });
+    }
+    focusCard(revealCard(id));
+  }
 
-    if (!state.items.length) {
-      listEl.innerHTML = `<div class="empty">Empty. Open the hub and paste (Ctrl/⌘+V), or use Smart Paste.</div>`;
+  const focusAt = (idx) => {
+    const it = visibleItems[clamp(idx, 0, visibleItems.length - 1)];
+    if (it) focusCard(revealCard(it.id));
+  };
+
+  listEl.addEventListener('keydown', (e) => {
+    // Focus parks on the list itself when the focused card scrolled out of the DOM.
+    if (e.target === listEl) {
+      if (/^(Arrow(Up|Down)|Page(Up|Down)|Home|End)$/.test(e.key)) {
+        e.preventDefault();
+        focusAt(focusedIndex());
+      }
       return;
     }
+    const card = e.target;
+    if (!card?.classList?.contains('card')) return;
+    const idx = visibleItems.findIndex((it) => it.id === card.dataset.id);
 
-    for (const it of state.items) {
-      const card = document.createElement('div');
-      card.className = 'card';
-
-      const head = document.createElement('div');
-      head.className = 'card-head';
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      moveItemBy(card.dataset.id, e.key === 'ArrowUp' ? -1 : 1);
+      return;
+    }
 
-      const meta = document.createElement('div');
-      meta.className = 'meta';
+    let handled = true;
+    switch (e.key) {
+      case 'ArrowDown': focusAt(idx + 1); break;
+      case 'ArrowUp':
+        if (idx === 0) searchEl.focus();
+        else focusAt(idx - 1);
+        break;
+      case 'Home': focusAt(0); break;
+      case 'End': focusAt(visibleItems.length - 1); break;
+      case 'PageDown': focusAt(idx + 5); break;
+      case 'PageUp': focusAt(idx - 5); break;
+      case 'Enter': copySingle(itemById(card.dataset.id)); break;
+      case ' ': toggleSelect(card.dataset.id, { range: e.shiftKey }); break;
+      case 'a':
+      case 'A':
+        if (e.ctrlKey || e.metaKey) selectAllVisible();
+        else handled = false;
+        break;
+      case 'p':
+      case 'P': togglePin(itemById(card.dataset.id)); break;
+      case 'v':
+      case 'V': cycleTextView(itemById(card.dataset.id)); break;
+      case 'm':
+      case 'M': openMenu(card.querySelector('.card-actions'), collectionMenuEntries([itemById(card.dataset.id)])); break;
+      case 'Backspace':
+      case 'Delete': removeItem(card.dataset.id); break;
+      default: handled = false;
+    }
+    if (handled) e.preventDefault();
+  });
 
-      const kindIcon = it.kind === 'image' ? ICONS.img : (it.kind === 'file' ? ICONS.file : ICONS.paste);
-      meta.innerHTML = `
-        <div class="kind">${kindIcon}<span>${(it.kind || '').toUpperCase()}${it.pending ? ' · Saving…' : ''}${it.error ? ' · ⚠' : ''}</span></div>
-        <div class="when">${timeAgo(it.createdAt || Date.now())}</div>
-      `;
+  // From the paste trap or the search box, ArrowDown enters the list.
+  for (const el of [trap, searchEl]) {
+    el.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowDown') return;
+      e.preventDefault();
+      focusAt(focusedIndex());
+    });
+  }
 
-      const acts = document.createElement('div');
-      acts.className = 'card-actions';
+  // ---------------------------
+  // Command palette (Ctrl/⌘+K)
+  // ---------------------------
+  const palette = { entries: [], active: 0, returnFocus: null };
 
-      const bCopy = document.createElement('button');
-      bCopy.className = 'mini';
-      bCopy.title = 'Copy';
-      bCopy.innerHTML = ICONS.copy;
-      bCopy.onclick = () => copySingle(it);
+  function itemLabel(it) {
+    if (it.kind === 'text') {
+      const t = (it.text || '').trim() || searchEntry(it).htmlText.trim();
+      return t.split('\n')[0].slice(0, 120) || '[Rich text]';
+    }
+    return it.name || it.kind;
+  }
 
-      const bDel = document.createElement('button');
-      bDel.className = 'mini danger';
-      bDel.title = 'Delete';
-      bDel.innerHTML = ICONS.trash;
-      bDel.onclick = () => removeItem(it.id);
+  // Subsequence match; rewards consecutive runs and word starts. Returns -1 when not a match.
+  function fuzzyScore(query, text) {
+    if (!query) return 0;
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    let score = 0;
+    let ti = 0;
+    let run = 0;
+    for (const ch of q) {
+      const at = t.indexOf(ch, ti);
+      if (at < 0) return -1;
+      run = (at === ti) ? run + 1 : 0;
+      score += 1 + run * 2 + ((at === 0 || /\W/.test(t[at - 1])) ? 3 : 0) - Math.min(at - ti, 10) * 0.1;
+      ti = at + 1;
+    }
+    return score;
+  }
 
-      acts.appendChild(bCopy);
-      acts.appendChild(bDel);
+  function paletteCommands() {
+    const focused = itemById(focusedId);
+    const cmds = [
+      { label: 'Smart Paste (Clipboard)', run: () => smartPaste() },
+      { label: 'Copy All', run: () => copyAll() },
+      { label: 'Clear all items (keeps pinned)', run: () => clearAll() },
+      { label: 'Show duplicates', run: () => setFilter({ kind: 'dupes' }) },
+      { label: 'Remove duplicate copies (keeps the top one)', run: () => removeDuplicates() },
+      { label: 'Search items', run: () => searchEl.focus(), movesFocus: true },
+      { label: 'New collection…', run: () => promptNewCollection() },
+      { label: 'Export hub (.zip)', run: () => exportArchive() },
+      { label: 'Import archive (merge)…', run: () => chooseImport('merge') },
+      { label: 'Settings…', run: () => openOptions() },
+      { label: `${settings.recordCopies ? 'Stop' : 'Start'} recording copies everywhere`, run: () => toggleRecording() },
+      ...(location.hostname
+        ? [{ label: `${recordingHere() ? 'Stop' : 'Start'} recording copies on ${location.hostname}`, run: () => toggleRecording({ site: true }) }]
+        : []),
+      ...(location.hostname ? [{ label: `Turn Clipboard Hub off on ${location.hostname}…`, run: () => disableHere() }] : []),
+      { label: 'Storage usage…', run: () => openStorage(), movesFocus: true },
+      { label: 'Reclaim unused storage', run: () => reclaimStorage() },
+      { label: 'Close hub', run: () => toggleOpen(false) }
+    ];
+    if (focused) {
+      cmds.splice(2, 0,
+        { label: `Copy item: ${itemLabel(focused)}`, run: () => copySingle(focused) },
+        { label: `${focused.pinned ? 'Unpin' : 'Pin'} item: ${itemLabel(focused)}`, run: () => togglePin(focused) },
+        { label: `Move item up: ${itemLabel(focused)}`, run: () => moveItemBy(focused.id, -1) },
+        { label: `Move item down: ${itemLabel(focused)}`, run: () => moveItemBy(focused.id, 1) },
+        { label: `Delete item: ${itemLabel(focused)}`, run: () => removeItem(focused.id) }
+      );
+    }
+    if (selection.size) {
+      const n = selection.size;
+      cmds.unshift(
+        { label: `Copy ${n} selected`, run: () => runBulk('copy') },
+        { label: `Download ${n} selected`, run: () => runBulk('download') },
+        { label: `Merge selected text items`, run: () => runBulk('merge') },
+        { label: `Move / copy ${n} selected…`, run: () => runBulk('move') },
+        { label: `Delete ${n} selected`, run: () => runBulk('delete') },
+        { label: 'Clear selection', run: () => clearSelection() }
+      );
+    }
+    cmds.push({ label: 'Select all visible items', run: () => selectAllVisible() });
+    for (const [id, label] of Object.entries(COPY_FORMATS)) {
+      cmds.push({ label: `Copy All as ${label}`, run: () => copyItems(activeItems(), id) });
+    }
+    for (const c of state.collections) {
+      if (c.id === state.active) continue;
+      cmds.push({ label: `Switch to collection: ${c.name}`, run: () => switchCollection(c.id) });
+      if (focused) {
+        cmds.push({ label: `Move item to ${c.name}`, run: () => moveItemsTo([focused], c.id) });
+        cmds.push({ label: `Copy item to ${c.name}`, run: () => copyItemsTo([focused], c.id) });
+      }
+    }
+    return cmds.map((c) => ({ ...c, hint: 'Action' }));
+  }
 
-      head.appendChild(meta);
-      head.appendChild(acts);
+  function buildPaletteEntries(query) {
+    const scored = [];
+    for (const c of paletteCommands()) {
+      const score = fuzzyScore(query, c.label);
+      if (score >= 0) scored.push({ ...c, score: score + 0.5 });
+    }
+    if (query) {
+      for (const it of activeItems()) {
+        const label = itemLabel(it);
+        const score = fuzzyScore(query, label);
+        if (score < 0) continue;
+        scored.push({
+          label,
+          hint: it.kind,
+          score,
+          item: it,
+          run: () => focusItem(it.id)
+        });
+      }
+    }
+    if (query) scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, 50);
+  }
 
-      const body = document.createElement('div');
-      body.className = 'body';
+  function renderPalette() {
+    paletteList.textContent = '';
+    palette.active = clamp(palette.active, 0, Math.max(0, palette.entries.length - 1));
+    palette.entries.forEach((entry, i) => {
+      const row = document.createElement('div');
+      row.className = 'palette-entry' + (i === palette.active ? ' active' : '');
+      row.setAttribute('role', 'option');
+      row.innerHTML = `<span class="label"></span><span class="hint"></span>`;
+      row.querySelector('.label').textContent = entry.label;
+      row.querySelector('.hint').textContent = entry.item ? `Go to · ${entry.hint}` : entry.hint;
+      row.onmousedown = (e) => e.preventDefault(); // keep focus in the input
+      row.onclick = () => runPaletteEntry(entry, false);
+      paletteList.appendChild(row);
+    });
+    if (!palette.entries.length) {
+      paletteList.innerHTML = `<div class="palette-entry"><span class="hint">No matches</span></div>`;
+    }
+    paletteList.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+  }
 
-      if (it.kind === 'text') {
-        const box = document.createElement('div');
-        box.className = 'text-box clamp';
-        const t = (it.text || '').trim();
-        box.textContent = t || (it.html ? '[Rich text]' : '');
-        body.appendChild(box);
+  function openPalette() {
+    closeStorage(false);
+    palette.returnFocus = shadow.activeElement;
+    paletteEl.hidden = false;
+    paletteInput.value = '';
+    palette.active = 0;
+    palette.entries = buildPaletteEntries('');
+    renderPalette();
+    paletteInput.focus();
+  }
 
-        if ((it.text || '').length > 280 || (it.text || '').split('\n').length > 8) {
-          const more = document.createElement('div');
-          more.className = 'text-more';
-          more.textContent = it.expanded ? 'Collapse' : 'Show more';
-          more.onclick = () => {
-            it.expanded = !it.expanded;
-            box.classList.toggle('clamp', !it.expanded);
-            more.textContent = it.expanded ? 'Collapse' : 'Show more';
-          };
-          body.appendChild(more);
-        }
-      } else if (it.kind === 'image') {
-        const img = document.createElement('img');
-        img.className = 'img';
-        const cache = blobCache.get(it.blobId || it.id);
-        img.src = cache?.url || it.dataUrl || '';
-        body.appendChild(img);
-      } else {
-        const row = document.createElement('div');
-        row.className = 'file-row';
-
-        row.innerHTML = `
-          <div style="display:flex;align-items:center;justify-content:center;width:34px;height:34px;border-radius:12px;background:rgba(255,255,255,0.06);border:1px solid rgba(255,255,255,0.10);">
-            ${ICONS.file}
-          </div>
-          <div class="file-text">
-            <div class="name">${escapeHtml(it.name || 'file')}</div>
-            <div class="sub">${escapeHtml(formatBytes(it.size || 0))} · ${escapeHtml(it.mime || 'application/octet-stream')}</div>
-          </div>
-        `;
-        body.appendChild(row);
-      }
+  function closePalette(restoreFocus = true) {
+    if (paletteEl.hidden) return;
+    paletteEl.hidden = true;
+    if (restoreFocus) (palette.returnFocus || trap).focus?.();
+    palette.returnFocus = null;
+  }
 
-      card.appendChild(head);
-      card.appendChild(body);
-      listEl.appendChild(card);
-    }
+  function runPaletteEntry(entry, copyItem) {
+    if (!entry) return;
+    closePalette(!entry.item && !entry.movesFocus);
+    if (entry.item && copyItem) copySingle(entry.item);
+    else entry.run();
   }
 
+  paletteInput.addEventListener('input', () => {
+    palette.active = 0;
+    palette.entries = buildPaletteEntries(paletteInput.value.trim());
+    renderPalette();
+  });
+
+  paletteInput.addEventListener('keydown', (e) => {
+    const n = palette.entries.length;
+    if (e.key === 'ArrowDown') palette.active = n ? (palette.active + 1) % n : 0;
+    else if (e.key === 'ArrowUp') palette.active = n ? (palette.active - 1 + n) % n : 0;
+    else if (e.key === 'Enter') runPaletteEntry(palette.entries[palette.active], e.ctrlKey || e.metaKey);
+    else return;
+    e.preventDefault();
+    if (!paletteEl.hidden) renderPalette();
+  });
+  paletteInput.addEventListener('blur', () => {
+    setTimeout(() => {
+      if (!paletteEl.contains(shadow.activeElement)) closePalette(false);
+    }, 0);
+  });
+
   // ---------------------------
   // UI toggles + events
   // ---------------------------
@@ -1210,27 +3773,154 @@
     const isOpen = root.classList.contains('open');
     const next = (typeof open === 'boolean') ? open : !isOpen;
     root.classList.toggle('open', next);
+    if (!next) {
+      closePalette(false);
+      closeStorage(false);
+      menuEl.hidden = true;
+    }
     if (next) {
       setTimeout(() => trap.focus(), 0);
-      setSubtitle('Paste multiple items (Ctrl/⌘+V) — images + text are supported together.');
+      if (!isFiltering()) setSubtitle(OPEN_SUBTITLE);
     }
   };
 
   $('fab').onclick = () => toggleOpen(true);
   $('btn-close').onclick = () => toggleOpen(false);
+  $('btn-more').onclick = (e) => openMenu(e.currentTarget, moreMenuEntries());
   $('backdrop').onclick = () => toggleOpen(false);
   $('drop-target').onclick = () => trap.focus();
 
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && root.classList.contains('open')) toggleOpen(false);
+    if (!root.classList.contains('open')) return;
+
+    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (paletteEl.hidden) openPalette();
+      else closePalette();
+      return;
+    }
+
+    if (e.key !== 'Escape') return;
+    if (closeMenu() || closeStorage()) {
+      e.preventDefault();
+      return;
+    }
+    if (paletteEl.hidden && clearSelection()) {
+      e.preventDefault();
+      return;
+    }
+    if (!paletteEl.hidden) {
+      e.preventDefault();
+      closePalette();
+      return;
+    }
+    // First Esc in a non-empty search clears it; the next one closes.
+    if (shadow.activeElement === searchEl && searchEl.value) {
+      e.preventDefault();
+      searchEl.value = '';
+      setFilter({ query: '' });
+      return;
+    }
+    toggleOpen(false);
   }, true);
 
+  // Collections
+  collectionEl.addEventListener('change', () => {
+    const v = collectionEl.value;
+    if (v === '__new') promptNewCollection().then((c) => { if (!c) renderCollections(); });
+    else if (v === '__rename') renameActiveCollection();
+    else if (v === '__delete') deleteActiveCollection();
+    else if (v) switchCollection(v);
+  });
+
+  // Bulk actions
+  bulkEl.addEventListener('click', (e) => {
+    const b = e.target.closest('[data-bulk]');
+    if (b && !b.disabled) runBulk(b.dataset.bulk, b);
+  });
+
+  // Popover menu (card move/copy, bulk actions)
+  let menuReturnFocus = null;
+
+  function openMenu(anchor, entries) {
+    menuEl.textContent = '';
+    for (const entry of entries) {
+      if (entry.separator) {
+        const sep = document.createElement('div');
+        sep.className = 'menu-sep';
+        menuEl.appendChild(sep);
+        continue;
+      }
+      const b = document.createElement('button');
+      b.className = 'menu-entry';
+      b.setAttribute('role', 'menuitem');
+      b.textContent = entry.label;
+      b.disabled = !!entry.disabled;
+      b.onclick = () => {
+        closeMenu();
+        entry.run();
+      };
+      menuEl.appendChild(b);
+    }
+
+    menuReturnFocus = shadow.activeElement;
+    menuEl.hidden = false;
+    const r = anchor.getBoundingClientRect();
+    const h = menuEl.offsetHeight;
+    const top = (r.bottom + 6 + h > window.innerHeight) ? Math.max(8, r.top - 6 - h) : r.bottom + 6;
+    menuEl.style.top = `${top}px`;
+    menuEl.style.right = `${Math.max(8, window.innerWidth - r.right)}px`;
+    menuEl.querySelector('.menu-entry:not(:disabled)')?.focus();
+  }
+
+  function closeMenu() {
+    if (menuEl.hidden) return false;
+    menuEl.hidden = true;
+    menuReturnFocus?.focus?.();
+    menuReturnFocus = null;
+    return true;
+  }
+
+  menuEl.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    e.preventDefault();
+    const entries = [...menuEl.querySelectorAll('.menu-entry:not(:disabled)')];
+    const idx = entries.indexOf(shadow.activeElement);
+    const next = e.key === 'ArrowDown' ? (idx + 1) % entries.length : (idx - 1 + entries.length) % entries.length;
+    entries[next]?.focus();
+  });
+  root.addEventListener('mousedown', (e) => {
+    if (!menuEl.hidden && !e.composedPath().includes(menuEl)) closeMenu();
+  });
+  listEl.addEventListener('scroll', () => closeMenu(), { passive: true });
+
+  // Search & filters
+  let searchTimer = null;
+  searchEl.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setFilter({ query: searchEl.value }), 120);
+  });
+  // Keep page shortcuts (e.g. "/" or "s" or j/k) from firing while typing or navigating in the hub.
+  for (const el of [searchEl, paletteInput, listEl, menuEl, storageEl]) {
+    for (const type of ['keydown', 'keypress', 'keyup']) {
+      el.addEventListener(type, (e) => e.stopPropagation());
+    }
+  }
+  chipsEl.addEventListener('click', (e) => {
+    const chip = e.target.closest('.chip');
+    if (chip) setFilter({ kind: chip.dataset.kind });
+  });
+  rangeEl.addEventListener('change', () => setFilter({ range: rangeEl.value }));
+
   // Paste capture: only while open; capture phase to beat page handlers.
   window.addEventListener('paste', (e) => {
     if (!root.classList.contains('open')) return;
 
     // Ignore pastes that are targeting editable elements outside the hub.
     const path = (typeof e.composedPath === 'function') ? e.composedPath() : [];
+    // Let pastes into the hub's own fields (search box, palette) behave normally.
+    if (path[0] === searchEl || path[0] === paletteInput) return;
     const isHubTarget = path.includes(host) || path.includes(trap);
     if (!isHubTarget) {
       // If the user is typing into a page input, don't steal paste.
@@ -1246,6 +3936,52 @@
     }
   }, true);
 
+  // Drag to reorder (internal drags carry our own type; files keep using the drawer drop below)
+  const ITEM_DRAG_TYPE = 'application/x-clipboard-hub-item';
+  let dragId = null;
+
+  function clearDropMarks() {
+    for (const c of listEl.querySelectorAll('.drop-before, .drop-after')) c.classList.remove('drop-before', 'drop-after');
+  }
+
+  function dropTarget(e) {
+    const card = e.target.closest?.('.card');
+    const dragged = itemById(dragId);
+    const target = card && itemById(card.dataset.id);
+    if (!dragged || !target || target.id === dragged.id || !!target.pinned !== !!dragged.pinned) return null;
+    const r = card.getBoundingClientRect();
+    return { card, position: (e.clientY < r.top + r.height / 2) ? 'before' : 'after' };
+  }
+
+  listEl.addEventListener('dragstart', (e) => {
+    const card = e.target.closest?.('.card');
+    if (!card) return;
+    dragId = card.dataset.id;
+    card.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(ITEM_DRAG_TYPE, dragId);
+  });
+  listEl.addEventListener('dragover', (e) => {
+    if (!dragId) return;
+    e.preventDefault();
+    clearDropMarks();
+    const t = dropTarget(e);
+    if (t) t.card.classList.add(t.position === 'before' ? 'drop-before' : 'drop-after');
+    e.dataTransfer.dropEffect = t ? 'move' : 'none';
+  });
+  listEl.addEventListener('drop', (e) => {
+    if (!dragId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const t = dropTarget(e);
+    if (t) moveItem(dragId, t.card.dataset.id, t.position);
+  });
+  listEl.addEventListener('dragend', () => {
+    listEl.querySelector('.dragging')?.classList.remove('dragging');
+    clearDropMarks();
+    dragId = null;
+  });
+
   // Drag & drop
   const drawer = shadow.querySelector('.drawer');
   drawer.addEventListener('dragover', (e) => {
@@ -1265,17 +4001,67 @@
   // Buttons
   $('btn-clear').onclick = () => clearAll();
   $('btn-copy-all').onclick = () => copyAll();
-  $('btn-smart').onclick = () => enqueueIngest(async () => {
+  $('btn-copy-format').onclick = (e) => openMenu(e.currentTarget, copyFormatMenuEntries());
+  $('btn-smart').onclick = () => smartPaste();
+
+  function smartPaste() {
+    return enqueueIngest(async () => {
+      try {
+        await smartPasteFromClipboardAPI();
+      } catch (e) {
+        console.warn('Smart paste failed, fallback to manual paste', e);
+        toast('Smart Paste blocked — use Ctrl/⌘+V');
+        if (!root.classList.contains('open')) toggleOpen(true);
+        trap.focus();
+      }
+    });
+  }
+
+  // ---------------------------
+  // Keyboard commands (routed from background.js; shortcuts are rebindable in the browser)
+  // ---------------------------
+  async function runCommand(name) {
+    if (!name) return;
     try {
-      await smartPasteFromClipboardAPI();
+      if (name === 'toggle-hub') return toggleOpen();
+      if (name === 'smart-paste') return await smartPaste();
+      if (name === 'copy-all') return await copyAll();
+
+      const m = /^copy-recent-(\d+)$/.exec(name);
+      if (m) {
+        const n = Number(m[1]);
+        const recent = activeItems().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        const it = recent[n - 1];
+        if (!it) return toast(`No item #${n}`);
+        return await copySingle(it);
+      }
     } catch (e) {
-      console.warn('Smart paste failed, fallback to manual paste', e);
-      toast('Smart Paste blocked — use Ctrl/⌘+V');
-      trap.focus();
+      console.warn('command failed', name, e);
+      toast('Copy blocked — open the hub and retry');
     }
-  });
+  }
+
+  /** command name -> current (possibly user-rebound) shortcut */
+  const shortcuts = new Map();
+
+  function withShortcut(label, name) {
+    return shortcuts.get(name) ? `${label} (${shortcuts.get(name)})` : label;
+  }
+
+  // Show the current shortcuts in tooltips.
+  async function loadShortcuts() {
+    try {
+      const resp = await runtimeSend('commands.list', {});
+      if (!resp?.ok) return;
+      for (const c of resp.commands) shortcuts.set(c.name, c.shortcut);
+      $('fab').title = withShortcut('Clipboard Hub', 'toggle-hub');
+      $('btn-smart').title = withShortcut('Read from Clipboard API', 'smart-paste');
+      renderCollections();
+    } catch (_) {}
+  }
 
   // Init
   load();
+  loadShortcuts();
 
 })();
@@ -0,0 +1,70 @@
+/*
+ * Clipboard Hub v6 - Options page
+ *
+ * Every control carrying data-setting="<key>" is bound to that key of ClipHubSettings.
+ * Writes go through the background (settings.update) like the content scripts do.
+ */
+(() => {
+  'use strict';
+
+  const { SETTINGS_KEY, DEFAULTS, normalize } = ClipHubSettings;
+  const statusEl = document.getElementById('status');
+  const fields = [...document.querySelectorAll('[data-setting]')];
+
+  let statusTimer = 0;
+  function status(msg) {
+    statusEl.textContent = msg;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { statusEl.textContent = ''; }, 2000);
+  }
+
+  function render(settings) {
+    for (const el of fields) {
+      const key = el.dataset.setting;
+      // Leave the control being edited alone.
+      if (el === document.activeElement) continue;
+      writeField(el, settings[key]);
+    }
+  }
+
+  // Booleans are checkboxes, lists are one-entry-per-line textareas, the rest plain values.
+  function writeField(el, value) {
+    if (el.type === 'checkbox') el.checked = !!value;
+    else if (Array.isArray(value)) el.value = value.join('\n');
+    else el.value = String(value);
+  }
+
+  function readField(el) {
+    const key = el.dataset.setting;
+    if (typeof DEFAULTS[key] === 'boolean') return el.checked;
+    if (Array.isArray(DEFAULTS[key])) return el.value.split(/[\s,]+/).filter(Boolean);
+    if (typeof DEFAULTS[key] === 'number') {
+      const n = Math.round(Number(el.value));
+      return Number.isFinite(n) ? n : DEFAULTS[key];
+    }
+    return el.value;
+  }
+
+  async function save(el) {
+    const key = el.dataset.setting;
+    let resp;
+    try {
+      resp = await chrome.runtime.sendMessage({ type: 'settings.update', payload: { patch: { [key]: readField(el) } } });
+    } catch (_) {
+      resp = null;
+    }
+    if (!resp?.ok) return status('Could not save');
+    writeField(el, resp.settings[key]);
+    status('Saved');
+  }
+
+  for (const el of fields) el.addEventListener('change', () => save(el));
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SETTINGS_KEY]) render(normalize(changes[SETTINGS_KEY].newValue));
+  });
+
+  chrome.runtime.sendMessage({ type: 'settings.get' })
+    .then((resp) => render(resp?.ok ? resp.settings : DEFAULTS))
+    .catch(() => render(DEFAULTS));
+})();
@@ -0,0 +1,212 @@
+/*
+ * Clipboard Hub v6 - HTML sanitizer
+ *
+ * Allowlist sanitizer for captured HTML, loaded before content-script.js and background.js (manifest.json).
+ * Every ingest path (paste, recorded copy, context menu, archive import) stores markup cleaned with the
+ * 'preserve' profile; the card preview and every Copy All format clean it again with the profile chosen
+ * in the settings (htmlProfile), so stored items never bypass it.
+ * Needs DOMParser: the markup is parsed into an inert document (no scripts run, nothing loads).
+ */
+globalThis.ClipHubSanitizer = globalThis.ClipHubSanitizer || (() => {
+  // Removed together with their content; everything else not allowed is unwrapped (children kept).
+  const DROP = new Set([
+    'SCRIPT', 'STYLE', 'LINK', 'META', 'BASE', 'TITLE', 'HEAD', 'TEMPLATE', 'NOSCRIPT', 'NOEMBED', 'NOFRAMES',
+    'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'PORTAL', 'PARAM',
+    'FORM', 'INPUT', 'BUTTON', 'SELECT', 'OPTION', 'OPTGROUP', 'TEXTAREA', 'DATALIST', 'OUTPUT',
+    'SVG', 'MATH', 'CANVAS', 'AUDIO', 'VIDEO', 'SOURCE', 'TRACK', 'PICTURE', 'MAP', 'AREA',
+    'DIALOG', 'MARQUEE', 'XMP', 'PLAINTEXT', 'LISTING'
+  ]);
+
+  const STRICT_ELEMENTS = [
+    'P', 'BR', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'DIV', 'SPAN',
+    'B', 'STRONG', 'I', 'EM', 'U', 'S', 'STRIKE', 'DEL', 'INS', 'SUB', 'SUP',
+    'CODE', 'PRE', 'KBD', 'SAMP', 'BLOCKQUOTE', 'Q',
+    'UL', 'OL', 'LI', 'DL', 'DT', 'DD',
+    'A', 'IMG', 'FIGURE', 'FIGCAPTION',
+    'TABLE', 'CAPTION', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD'
+  ];
+
+  // Attributes allowed on every kept element / per element.
+  const STRICT_ATTRS = {
+    '*': ['title', 'lang', 'dir'],
+    A: ['href'],
+    IMG: ['src', 'alt', 'width', 'height'],
+    OL: ['start', 'type', 'reversed'],
+    LI: ['value'],
+    TH: ['colspan', 'rowspan', 'scope'],
+    TD: ['colspan', 'rowspan'],
+    BLOCKQUOTE: ['cite'],
+    Q: ['cite']
+  };
+
+  // Inline styles kept by 'preserve': text formatting, colors, spacing and table borders, but no
+  // positioning, display or anything that can load a resource (url() is rejected in every value).
+  const PRESERVE_CSS = new Set([
+    'color', 'background-color', 'font-family', 'font-size', 'font-style', 'font-weight', 'font-variant',
+    'text-align', 'text-decoration-line', 'text-decoration-style', 'text-decoration-color', 'text-indent',
+    'text-transform', 'vertical-align', 'white-space', 'line-height', 'letter-spacing', 'word-spacing',
+    'list-style-type', 'width', 'height', 'max-width',
+    'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+    'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+    'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+    'border-collapse'
+  ]);
+
+  /**
+   * strict: document structure only. No inline styles, and only embedded (data:) images, so pasting
+   * never makes the target fetch anything.
+   * preserve: adds the formatting a rich editor keeps (filtered inline styles, <font>, table attributes)
+   * and remote http(s) images, minus tracking pixels.
+   */
+  const PROFILES = Object.freeze({
+    strict: {
+      elements: new Set(STRICT_ELEMENTS),
+      attrs: STRICT_ATTRS,
+      css: null,
+      remoteImages: false
+    },
+    preserve: {
+      elements: new Set([
+        ...STRICT_ELEMENTS,
+        'FONT', 'MARK', 'SMALL', 'BIG', 'ABBR', 'CITE', 'DFN', 'TIME', 'VAR', 'CENTER',
+        'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'ASIDE', 'MAIN', 'NAV', 'ADDRESS', 'DETAILS', 'SUMMARY',
+        'COL', 'COLGROUP'
+      ]),
+      attrs: {
+        ...STRICT_ATTRS,
+        '*': [...STRICT_ATTRS['*'], 'style'],
+        FONT: ['color', 'face', 'size'],
+        TABLE: ['border', 'cellpadding', 'cellspacing', 'width', 'align'],
+        TH: [...STRICT_ATTRS.TH, 'align', 'valign', 'width', 'height'],
+        TD: [...STRICT_ATTRS.TD, 'align', 'valign', 'width', 'height'],
+        TR: ['align', 'valign'],
+        COL: ['span', 'width'],
+        COLGROUP: ['span', 'width'],
+        P: ['align'],
+        DIV: ['align'],
+        DETAILS: ['open']
+      },
+      css: PRESERVE_CSS,
+      remoteImages: true
+    }
+  });
+
+  const LINK_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+  const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|avif|bmp);base64,[a-z0-9+/=\s]*$/i;
+  // Anything resolving against this base had no scheme of its own (relative link or #fragment).
+  const RELATIVE_BASE = 'https://relative.invalid/';
+
+  // The URL parser strips the tabs/newlines "java\tscript:" relies on, so the scheme check sees the real one.
+  function urlScheme(value) {
+    try {
+      const url = new URL(value, RELATIVE_BASE);
+      return url.origin === new URL(RELATIVE_BASE).origin ? '' : url.protocol;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function safeUrl(attr, value, profile) {
+    const v = String(value).trim();
+    if (attr === 'src') {
+      if (DATA_IMAGE.test(v)) return v;
+      const scheme = urlScheme(v);
+      return (profile.remoteImages && (scheme === 'http:' || scheme === 'https:')) ? v : null;
+    }
+    const scheme = urlScheme(v);
+    return (scheme === '' || LINK_SCHEMES.includes(scheme)) ? v : null;
+  }
+
+  // Rebuilds a style attribute from allowed longhand properties (the CSSOM expands shorthands).
+  function cleanStyle(el, allowed) {
+    const out = [];
+    for (let i = 0; i < el.style.length; i++) {
+      const prop = el.style.item(i);
+      if (!allowed.has(prop)) continue;
+      const value = el.style.getPropertyValue(prop);
+      if (/url\s*\(|expression\s*\(|javascript:|@import|\\/i.test(value)) continue;
+      out.push(`${prop}: ${value}${el.style.getPropertyPriority(prop) ? ' !important' : ''}`);
+    }
+    return out.join('; ');
+  }
+
+  const PIXEL = 2; // px; images this small (or hidden) exist to report that the content was opened
+
+  function isTrackingPixel(img) {
+    const tiny = (v) => v !== '' && v != null && parseFloat(v) <= PIXEL;
+    if (tiny(img.getAttribute('width')) || tiny(img.getAttribute('height'))) return true;
+    const s = img.style;
+    return tiny(s.width) || tiny(s.height) || s.display === 'none' || s.visibility === 'hidden' || s.opacity === '0';
+  }
+
+  function cleanElement(el, profile) {
+    const allowed = new Set([...(profile.attrs['*'] || []), ...(profile.attrs[el.tagName] || [])]);
+    for (const { name, value } of [...el.attributes]) {
+      const attr = name.toLowerCase();
+      if (!allowed.has(attr)) {
+        el.removeAttribute(name);
+        continue;
+      }
+      if (attr === 'href' || attr === 'src' || attr === 'cite') {
+        const url = safeUrl(attr, value, profile);
+        if (url === null) el.removeAttribute(name);
+        else if (url !== value) el.setAttribute(name, url);
+      } else if (attr === 'style') {
+        const css = cleanStyle(el, profile.css);
+        if (css) el.setAttribute('style', css);
+        else el.removeAttribute('style');
+      }
+    }
+  }
+
+  function cleanChildren(parent, profile) {
+    for (const node of [...parent.childNodes]) {
+      if (node.nodeType === Node.TEXT_NODE) continue;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove(); // comments (incl. Office conditional comments), processing instructions
+        continue;
+      }
+      const tag = node.tagName.toUpperCase();
+      if (DROP.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        node.remove();
+        continue;
+      }
+      if (tag === 'IMG' && isTrackingPixel(node)) {
+        node.remove();
+        continue;
+      }
+      cleanChildren(node, profile);
+      if (!profile.elements.has(tag)) {
+        node.replaceWith(...node.childNodes);
+        continue;
+      }
+      cleanElement(node, profile);
+      // An image whose source was refused (remote in strict, script URL) has nothing left to show.
+      if (tag === 'IMG' && !node.hasAttribute('src')) node.remove();
+    }
+  }
+
+  function sanitizeOnce(html, profile) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    cleanChildren(doc.body, profile);
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Cleans untrusted HTML with the named profile ('preserve' or 'strict'; unknown names get 'strict').
+   * Runs twice so markup that re-parses differently after serialization (mutation XSS) is cleaned
+   * in the shape a consumer will actually parse. Returns '' when the markup cannot be parsed.
+   */
+  function sanitize(html, profileName = 'preserve') {
+    const profile = PROFILES[profileName] || PROFILES.strict;
+    try {
+      return sanitizeOnce(sanitizeOnce(html, profile), profile);
+    } catch (_) {
+      return '';
+    }
+  }
+
+  return { PROFILES, sanitize, safeUrl: (attr, value, name = 'preserve') => safeUrl(attr, value, PROFILES[name] || PROFILES.strict) };
+})();
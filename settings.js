@@ -0,0 +1,120 @@
+/*
+ * Clipboard Hub v6 - Settings schema
+ *
+ * Shared by background.js and the content script (listed before them in manifest.json).
+ * Settings live in storage.local under SETTINGS_KEY; background.js is the only writer
+ * (settings.update), everyone else reads them and follows storage.onChanged.
+ */
+globalThis.ClipHubSettings = globalThis.ClipHubSettings || (() => {
+  const SETTINGS_KEY = 'clip_hub_v6_settings';
+
+  const DEFAULTS = Object.freeze({
+    copyFormat: 'rich', // Copy All output: rich | markdown | html | plain | json
+    copyImages: 'embed', // Markdown/JSON images: embed (data URL) | reference (file name)
+    svgCopyScale: 2, // SVGs are rasterized to PNG at this multiple of their size when copied
+    htmlProfile: 'preserve', // sanitizer profile for preview and Copy All: preserve | strict (see sanitizer.js)
+    // Retention (0 = off). Oldest unpinned items are evicted first.
+    maxItems: 0,
+    maxStorageMB: 0, // text + stored blob bytes
+    ttlDays: 0,
+    // Ingest: repeat-paste window and image compression (applied live in every tab).
+    dedupWindowMs: 900,
+    imageSoftLimitKB: 2048, // only larger images are compressed
+    imageMaxDim: 2048, // longest side after downscaling
+    imageFormat: 'webp', // webp | jpeg | avif (falls back to webp) | original (never compress)
+    imageQuality: 88, // percent
+    keepPngScreenshots: false,
+    keepOriginals: false, // store the uncompressed image next to the compressed one
+    // Copy/cut recording: global switch plus per-site overrides (host patterns, see siteRule).
+    recordCopies: false,
+    recordCopiesOn: [],
+    recordCopiesOff: [],
+    // Where the drawer runs at all: every site but sitesDeny ('all') or only sitesAllow ('allowlist').
+    siteMode: 'all',
+    sitesAllow: [],
+    sitesDeny: []
+  });
+
+  /** Allowed values for enum settings. */
+  const CHOICES = Object.freeze({
+    copyFormat: ['rich', 'markdown', 'html', 'plain', 'json'],
+    copyImages: ['embed', 'reference'],
+    htmlProfile: ['preserve', 'strict'],
+    siteMode: ['all', 'allowlist'],
+    imageFormat: ['webp', 'jpeg', 'avif', 'original']
+  });
+
+  /** Inclusive [min, max] for numeric settings. */
+  const RANGES = Object.freeze({
+    svgCopyScale: [1, 8],
+    maxItems: [0, 100000],
+    maxStorageMB: [0, 100000],
+    ttlDays: [0, 3650],
+    dedupWindowMs: [0, 10000],
+    imageSoftLimitKB: [0, 1024 * 1024],
+    imageMaxDim: [256, 16384],
+    imageQuality: [10, 100]
+  });
+
+  const MAX_HOSTS = 500;
+
+  // Host patterns: "example.com" (itself and subdomains) or "*.example.com" (subdomains only);
+  // schemes, ports and paths are dropped.
+  function normalizeHosts(list) {
+    const out = new Set();
+    for (const raw of list) {
+      const host = String(raw).trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/:?#].*$/, '');
+      if (host) out.add(host);
+      if (out.size >= MAX_HOSTS) break;
+    }
+    return [...out];
+  }
+
+  // Length of the most specific pattern in list matching hostname (0 = no match).
+  function siteRule(list, hostname) {
+    const host = String(hostname || '').toLowerCase();
+    let best = 0;
+    for (const pattern of list || []) {
+      const base = pattern.replace(/^\*\./, '');
+      const exact = pattern === base && host === base;
+      if (exact || host.endsWith(`.${base}`)) best = Math.max(best, base.length + (exact ? 1 : 0));
+    }
+    return best;
+  }
+
+  // Per-site overrides beat the global switch; the more specific pattern wins, "off" on a tie.
+  function recordsCopies(settings, hostname) {
+    const on = siteRule(settings.recordCopiesOn, hostname);
+    const off = siteRule(settings.recordCopiesOff, hostname);
+    return (on || off) ? on > off : settings.recordCopies;
+  }
+
+  // Same precedence for the site lists; without a matching entry siteMode decides.
+  function siteEnabled(settings, hostname) {
+    const allow = siteRule(settings.sitesAllow, hostname);
+    const deny = siteRule(settings.sitesDeny, hostname);
+    return (allow || deny) ? allow > deny : settings.siteMode === 'all';
+  }
+
+  // Drops unknown keys and invalid values, falling back to DEFAULTS.
+  function normalize(raw) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    const out = {};
+    for (const [key, def] of Object.entries(DEFAULTS)) {
+      const v = src[key];
+      if (Array.isArray(def)) {
+        out[key] = Array.isArray(v) ? normalizeHosts(v) : [...def];
+        continue;
+      }
+      let ok = typeof v === typeof def;
+      if (ok && CHOICES[key]) ok = CHOICES[key].includes(v);
+      if (ok && RANGES[key]) ok = Number.isFinite(v) && v >= RANGES[key][0] && v <= RANGES[key][1];
+      out[key] = ok ? v : def;
+    }
+    return out;
+  }
+
+  return { SETTINGS_KEY, DEFAULTS, CHOICES, RANGES, normalize, normalizeHosts, siteRule, recordsCopies, siteEnabled };
+})();
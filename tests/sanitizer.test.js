@@ -0,0 +1,206 @@
+/*
+ * Clipboard Hub v6 - Sanitizer regression corpus
+ *
+ * Loaded by tests/sanitizer.html after ../sanitizer.js. Every case runs through both profiles: the output
+ * must pass the generic checks in unsafe(), whatever the input was, and then the case's own expectations
+ * (expect for both profiles, preserve/strict for one).
+ */
+(() => {
+  'use strict';
+
+  const { sanitize } = ClipHubSanitizer;
+  const PROFILES = ['preserve', 'strict'];
+
+  // Elements that must never come out, in any profile and any namespace.
+  const FORBIDDEN = new Set([
+    'script', 'style', 'link', 'meta', 'base', 'template', 'noscript', 'xmp', 'iframe', 'frame', 'object', 'embed',
+    'form', 'input', 'button', 'textarea', 'select', 'svg', 'math', 'animate', 'set', 'foreignobject', 'mglyph'
+  ]);
+  const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+  const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|avif|bmp);base64,/i;
+  const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+  const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+  // Scheme as a browser sees it: control characters and whitespace anywhere in it are ignored.
+  const schemeOf = (value) => (/^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\u0000- ]/g, ''))?.[1] || '').toLowerCase();
+
+  function unsafe(out, profile) {
+    const doc = parse(out);
+    for (const el of doc.body.querySelectorAll('*')) {
+      if (el.namespaceURI !== 'http://www.w3.org/1999/xhtml') return `foreign <${el.localName}> kept`;
+      if (FORBIDDEN.has(el.localName.toLowerCase())) return `<${el.localName}> kept`;
+      for (const { name, value } of el.attributes) {
+        if (/^on/i.test(name) || ['srcdoc', 'action', 'formaction', 'background', 'ping'].includes(name) || name.includes(':')) {
+          return `${name} attribute kept`;
+        }
+        if (name === 'href' || name === 'src' || name === 'cite') {
+          const scheme = schemeOf(value);
+          if (scheme && !SAFE_SCHEMES.includes(scheme) && !(name === 'src' && DATA_IMAGE.test(value))) return `${name}="${value}" kept`;
+          if (name === 'src' && profile === 'strict' && !DATA_IMAGE.test(value)) return `remote src="${value}" kept in strict`;
+        }
+        if (name === 'style' && /url\s*\(|expression\s*\(|javascript:|@import|\\/i.test(value)) return `style="${value}" kept`;
+      }
+    }
+    // Mutation XSS: what a consumer parses back must be exactly what was checked, and already clean.
+    if (doc.body.innerHTML !== out) return 'output re-parses differently';
+    if (sanitize(out, profile) !== out) return 'second pass changes the output';
+    return '';
+  }
+
+  const gone = (selector) => (doc) => (doc.querySelector(selector) ? `${selector} kept` : '');
+  const kept = (selector) => (doc) => (doc.querySelector(selector) ? '' : `${selector} missing`);
+  const text = (s) => (doc) => (doc.body.textContent.includes(s) ? '' : `text "${s}" missing`);
+  const lacks = (re) => (doc, out) => (re.test(out) ? `output matches ${re}` : '');
+
+  const CASES = [
+    // Link and resource schemes
+    { name: 'javascript: href', html: '<a href="javascript:alert(1)">go</a>', expect: [kept('a:not([href])'), text('go')] },
+    { name: 'javascript: href, mixed case and entities', html: '<a href="JaVa&#83;cript&#58;alert(1)">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'java\\tscript: href, literal tab', html: '<a href="java\tscript:alert(1)">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'java&#9;script: href, encoded tab', html: '<a href="java&#9;script:alert(1)">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'javascript: href after control characters', html: '<a href=" &#1;&#10;javascript:alert(1)">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'vbscript: href', html: '<a href="vbscript:msgbox(1)">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'data:text/html href', html: '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">go</a>', expect: [kept('a:not([href])')] },
+    { name: 'data:text/html img src', html: '<img src="data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;">', expect: [gone('img')] },
+    { name: 'data:image/svg+xml img src', html: '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+PC9zdmc+">', expect: [gone('img')] },
+    { name: 'javascript: cite', html: '<blockquote cite="javascript:alert(1)">q</blockquote>', expect: [kept('blockquote:not([cite])')] },
+    {
+      name: 'safe links survive',
+      html: '<a href="https://example.com/a?b=1">w</a> <a href="mailto:a@example.com">m</a> <a href="tel:+100">t</a> <a href="#top">f</a>',
+      expect: [kept('a[href="https://example.com/a?b=1"]'), kept('a[href="mailto:a@example.com"]'), kept('a[href="tel:+100"]'), kept('a[href="#top"]')]
+    },
+
+    // Frames and srcdoc
+    { name: 'iframe srcdoc', html: '<iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;"></iframe>after', expect: [gone('iframe'), text('after')] },
+    { name: 'srcdoc on an allowed element', html: '<div srcdoc="<script>alert(1)</script>">x</div>', expect: [gone('[srcdoc]'), text('x')] },
+    { name: 'object and embed', html: '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">x', expect: [gone('object, embed'), text('x')] },
+
+    // SVG
+    {
+      name: '<svg><a xlink:href>',
+      html: '<svg><a xlink:href="javascript:alert(1)"><text x="0" y="20">svg link</text></a></svg>',
+      expect: [gone('a'), lacks(/svg link/)]
+    },
+    {
+      name: '<svg><animate> rewriting href',
+      html: '<svg><a id="x"><text y="20">y</text></a><animate xlink:href="#x" attributeName="href" values="javascript:alert(1)"/></svg>',
+      expect: [gone('a')]
+    },
+    { name: '<svg><set> adding a handler', html: '<svg><set attributeName="onmouseover" to="alert(1)"/></svg>ok', expect: [text('ok')] },
+    { name: '<svg><foreignObject>', html: '<svg><foreignObject><img src="x" onerror="alert(1)"></foreignObject></svg>', expect: [gone('img')] },
+
+    // Mutation XSS through namespace and raw-text parsing differences
+    {
+      name: '<math> mglyph/style namespace confusion',
+      html: '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img&Tab;src=1&Tab;onerror=alert(1)&gt;">',
+      expect: [gone('img[src="1"]')]
+    },
+    {
+      name: '<form><math> nesting mXSS',
+      html: '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+      expect: [gone('[onerror]')]
+    },
+    { name: '<math> link', html: '<math><mi><a href="javascript:alert(1)">x</a></mi></math>', expect: [gone('a')] },
+    { name: '<noscript> attribute breakout', html: '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>after', expect: [gone('img'), text('after')] },
+    { name: '<template> content', html: '<template><img src="x" onerror="alert(1)"></template>ok', expect: [gone('img'), text('ok')] },
+    { name: 'markup inside an attribute stays an attribute', html: '<p title="</template><img src=x onerror=alert(1)>">t</p>', expect: [gone('img'), kept('p[title]')] },
+    { name: '<xmp> raw text', html: '<xmp><img src="x" onerror="alert(1)"></xmp>ok', expect: [gone('img'), text('ok')] },
+
+    // Forms
+    {
+      name: '<form action>',
+      html: '<form action="javascript:alert(1)"><input name="q"><button formaction="javascript:alert(1)">go</button></form>after',
+      expect: [text('after'), lacks(/\bgo\b/)]
+    },
+    { name: 'stray formaction', html: '<button formaction="https://evil.example/">x</button><isindex action="javascript:alert(1)">', expect: [gone('button')] },
+
+    // Tracking pixels and remote images
+    { name: 'pixel via width/height attributes', html: '<img src="https://t.example/p.gif" width="1" height="1">', expect: [gone('img')] },
+    { name: 'pixel via zero width attribute', html: '<img src="https://t.example/p.gif" width="0">', expect: [gone('img')] },
+    { name: 'pixel via style size', html: '<img src="https://t.example/p.gif" style="width: 1px; height: 1px">', expect: [gone('img')] },
+    { name: 'pixel via display:none', html: '<img src="https://t.example/p.gif" style="display: none">', expect: [gone('img')] },
+    { name: 'pixel via visibility:hidden', html: '<img src="https://t.example/p.gif" style="visibility: hidden">', expect: [gone('img')] },
+    { name: 'pixel via opacity:0', html: '<img src="https://t.example/p.gif" style="opacity: 0">', expect: [gone('img')] },
+    {
+      name: 'remote image',
+      html: '<img src="https://example.com/photo.jpg" alt="photo" width="200">',
+      preserve: [kept('img[src="https://example.com/photo.jpg"][alt="photo"]')],
+      strict: [gone('img')]
+    },
+    { name: 'embedded image', html: `<img src="${PNG}" alt="dot" width="40">`, expect: [kept('img[alt="dot"][width="40"]')] },
+
+    // Inline CSS
+    {
+      name: 'url() in inline style',
+      html: '<p style="color: red; background-image: url(https://t.example/x.gif)">x</p>',
+      preserve: [kept('p[style*="color"]')],
+      strict: [gone('[style]')]
+    },
+    { name: 'javascript: url() in background shorthand', html: '<p style="background: url(javascript:alert(1))">x</p>', expect: [lacks(/url\(/i)] },
+    { name: 'escaped url() in a value', html: '<span style="font-family: \'\\75 rl(https://t.example/x)\'">x</span>', expect: [lacks(/url\(/i), text('x')] },
+    { name: 'expression()', html: '<div style="width: expression(alert(1))">x</div>', expect: [gone('[style]')] },
+    { name: 'resource-loading property', html: '<ul style="list-style-image: url(https://t.example/x.gif)"><li>x</li></ul>', expect: [gone('[style]')] },
+    {
+      name: 'positioned overlay',
+      html: '<div style="position: fixed; top: 0; left: 0; z-index: 9; width: 100%">overlay</div>',
+      expect: [lacks(/position|z-index|top:|left:/)],
+      preserve: [kept('div[style*="width"]')]
+    },
+    { name: 'background attribute', html: '<table background="https://t.example/x.gif"><tr><td background="https://t.example/y.gif">x</td></tr></table>', expect: [gone('[background]')] },
+
+    // Handlers and document-level elements
+    { name: 'event handlers', html: `<img src="${PNG}" onerror="alert(1)"><p onclick="alert(1)" onmouseover="alert(1)">x</p>`, expect: [kept('img'), gone('[onerror], [onclick], [onmouseover]')] },
+    { name: 'script element', html: '<script>alert(1)</script>ok', expect: [lacks(/alert/), text('ok')] },
+    {
+      name: 'base, link, meta refresh',
+      html: '<base href="javascript:/"><link rel="stylesheet" href="https://t.example/x.css"><meta http-equiv="refresh" content="0;url=javascript:alert(1)">text',
+      expect: [text('text'), lacks(/javascript|t\.example/)]
+    },
+    { name: 'Office conditional comment', html: '<!--[if gte mso 9]><xml><o:OfficeDocumentSettings/></xml><![endif]-->ok', expect: [lacks(/<!--|xml/), text('ok')] },
+    { name: 'link target and ping', html: '<a href="https://example.com/" target="_top" ping="https://t.example/">x</a>', expect: [kept('a[href]'), gone('[target], [ping]')] },
+
+    // Formatting each profile is meant to keep
+    {
+      name: 'table formatting',
+      html: '<table border="1"><tr><td style="color: rgb(255, 0, 0); font-weight: bold;" colspan="2">cell</td></tr></table>',
+      preserve: [kept('table[border]'), kept('td[colspan="2"][style*="font-weight"]')],
+      strict: [gone('[border]'), kept('td[colspan="2"]:not([style])')]
+    },
+    {
+      name: 'document structure',
+      html: '<h2>Title</h2><ul><li><b>bold</b> and <a href="https://example.com/">link</a></li></ul><pre><code>x &lt; y</code></pre>',
+      expect: [kept('h2'), kept('ul > li > b'), kept('li > a[href]'), kept('pre > code'), text('x < y')]
+    }
+  ];
+
+  const results = [];
+  for (const c of CASES) {
+    for (const profile of PROFILES) {
+      let out = '';
+      let error;
+      try {
+        out = sanitize(c.html, profile);
+        const doc = parse(out);
+        error = unsafe(out, profile) || [...(c.expect || []), ...(c[profile] || [])].map((check) => check(doc, out)).find(Boolean) || '';
+      } catch (e) {
+        error = String(e);
+      }
+      results.push({ name: c.name, profile, out, error });
+    }
+  }
+
+  const tbody = document.getElementById('results');
+  for (const r of results) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = r.name;
+    row.insertCell().textContent = r.profile;
+    const result = row.insertCell();
+    result.className = r.error ? 'fail' : 'pass';
+    result.textContent = r.error || 'ok';
+    row.insertCell().appendChild(document.createElement('code')).textContent = r.out;
+  }
+  const failed = results.filter((r) => r.error).length;
+  document.getElementById('summary').textContent = `${results.length - failed} of ${results.length} passed.`;
+  document.title = `${failed ? 'FAIL' : 'PASS'} – sanitizer tests`;
+})();